@@ -1,8 +1,7 @@
 #!/bin/bash
 # Copy latest data to docs/
 mkdir -p docs/data
-cp data/portfolio.json docs/data/portfolio.json
-cp data/metadata.json docs/data/metadata.json
+node scripts/photo-cache.js  # writes each portfolio's key-free docs export (portfolio.json, metadata, history, reviews) + photos
 # Commit and push
 git add docs/
 git commit -m "Update dashboard data $(date +%Y-%m-%d)"
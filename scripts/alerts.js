@@ -0,0 +1,272 @@
+/**
+ * alerts.js
+ * Alert engine — runs after fetch-all.js merges data and compares the new
+ * portfolio against the previous run:
+ *   - Google / TripAdvisor rating fell by ≥ ALERT_RATING_DROP (default 0.1)
+ *   - New review rated ≤ ALERT_LOW_STARS (default 2)
+ *   - TripAdvisor ranking dropped ≥ ALERT_RANK_DROP places (default 3)
+ *   - Fetch started failing for a property (not repeated while it keeps failing)
+ *
+ * Every alert is tagged with its portfolio, logged to alerts.json in that
+ * portfolio's data directory (served at /api/alerts) and then
+ * delivered through the channels named in ALERT_CHANNELS (comma-separated):
+ *   file     — appends JSON lines to ALERT_FILE (default data/alerts-outbox.jsonl)
+ *   webhook  — POSTs { alerts } to ALERT_WEBHOOK_URL
+ *   smtp     — plain SMTP to ALERT_SMTP_HOST:ALERT_SMTP_PORT (e.g. MailHog, smtp4dev)
+ * Extra channels can be added with registerChannel(name, async alerts => {}).
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { parseRanking } from './history.js';
+import { reviewKey } from './review-store.js';
+import { getPortfolio, dataFile } from './portfolios.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const alertsPath = pf => dataFile(pf, 'alerts.json');
+const MAX_STORED_ALERTS = 1000;
+
+function config() {
+  return {
+    ratingDrop: parseFloat(process.env.ALERT_RATING_DROP || '0.1'),
+    lowStars: parseInt(process.env.ALERT_LOW_STARS || '2'),
+    rankDrop: parseInt(process.env.ALERT_RANK_DROP || '3'),
+  };
+}
+
+const ok = src => (src && !src.error ? src : null);
+
+// ─── Rules ───────────────────────────────────────────────────────────────────
+// Each rule gets (prev, curr, cfg) for one property and returns partial alerts.
+
+const RULES = [
+  {
+    id: 'rating-drop',
+    check(prev, curr, cfg) {
+      const out = [];
+      for (const [source, label] of [['google', 'Google'], ['tripadvisor', 'TripAdvisor']]) {
+        const before = ok(prev?.[source])?.rating;
+        const after = ok(curr[source])?.rating;
+        if (typeof before !== 'number' || typeof after !== 'number') continue;
+        const drop = Math.round((before - after) * 100) / 100;
+        if (drop >= cfg.ratingDrop) {
+          out.push({
+            source, severity: 'warning',
+            message: `${label} rating fell ${drop.toFixed(1)} (${before} → ${after})`,
+            detail: { before, after },
+          });
+        }
+      }
+      return out;
+    },
+  },
+  {
+    id: 'new-low-review',
+    check(prev, curr, cfg) {
+      const out = [];
+      for (const [source, label] of [['google', 'Google'], ['tripadvisor', 'TripAdvisor']]) {
+        const before = ok(prev?.[source]);
+        const after = ok(curr[source]);
+        // Without a previous successful fetch every review would look "new"
+        if (!before || !after) continue;
+        const seen = new Set((before.reviews || []).map(r => reviewKey(source, r)));
+        (after.reviews || [])
+          .filter(r => !seen.has(reviewKey(source, r)) && typeof r.rating === 'number' && r.rating <= cfg.lowStars)
+          .forEach(r => out.push({
+            source, severity: r.rating <= 1 ? 'critical' : 'warning',
+            message: `New ${r.rating}★ ${label} review${r.title ? `: "${r.title}"` : ''}`,
+            detail: {
+              rating: r.rating,
+              author: r.author || r.user?.username || null,
+              excerpt: (r.text || '').slice(0, 280),
+              url: r.url || null,
+            },
+          }));
+      }
+      return out;
+    },
+  },
+  {
+    id: 'ranking-drop',
+    check(prev, curr, cfg) {
+      const before = parseRanking(ok(prev?.tripadvisor)?.rankingString).position;
+      const after = parseRanking(ok(curr.tripadvisor)?.rankingString).position;
+      if (before == null || after == null || after - before < cfg.rankDrop) return [];
+      return [{
+        source: 'tripadvisor', severity: 'warning',
+        message: `TripAdvisor ranking dropped ${after - before} places (#${before} → #${after})`,
+        detail: { before, after, rankingString: curr.tripadvisor.rankingString },
+      }];
+    },
+  },
+  {
+    id: 'fetch-failed',
+    check(prev, curr) {
+      // Only on the transition — a source that was already failing last run
+      // has been alerted on once and would otherwise repeat every run
+      return ['google', 'tripadvisor']
+        .filter(source => curr[source]?.error && !prev?.[source]?.error)
+        .map(source => ({
+          source, severity: 'error',
+          message: `${source === 'google' ? 'Google' : 'TripAdvisor'} fetch failed: ${curr[source].error}`,
+          detail: { error: curr[source].error },
+        }));
+    },
+  },
+];
+
+/**
+ * Run every rule for every property in the new portfolio
+ */
+function evaluateAlerts(previous, current, cfg = config()) {
+  const prevById = Object.fromEntries((previous || []).map(p => [p.id, p]));
+  const createdAt = new Date().toISOString();
+  const stamp = Date.now();
+  const alerts = [];
+  for (const curr of current) {
+    for (const rule of RULES) {
+      rule.check(prevById[curr.id], curr, cfg).forEach(a => alerts.push({
+        id: `${stamp}-${alerts.length}`,
+        rule: rule.id,
+        propertyId: curr.id,
+        propertyName: curr.name,
+        createdAt,
+        ...a,
+      }));
+    }
+  }
+  return alerts;
+}
+
+// ─── Channels ────────────────────────────────────────────────────────────────
+
+const CHANNELS = {
+  async file(alerts) {
+    const outPath = process.env.ALERT_FILE || path.join(ROOT, 'data', 'alerts-outbox.jsonl');
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.appendFileSync(outPath, alerts.map(a => JSON.stringify(a)).join('\n') + '\n');
+  },
+
+  async webhook(alerts) {
+    const url = process.env.ALERT_WEBHOOK_URL;
+    if (!url) throw new Error('ALERT_WEBHOOK_URL not set');
+    await axios.post(url, { source: 'portfolio-intel', alerts }, { timeout: 10000 });
+  },
+
+  async smtp(alerts) {
+    const to = process.env.ALERT_EMAIL_TO;
+    if (!to) throw new Error('ALERT_EMAIL_TO not set');
+    const from = process.env.ALERT_EMAIL_FROM || 'portfolio-intel@localhost';
+    const subject = `Portfolio Intel: ${alerts.length} alert${alerts.length !== 1 ? 's' : ''}`;
+    const body = alerts.map(a => `[${a.severity.toUpperCase()}] ${a.portfolioName} / ${a.propertyName}: ${a.message}`).join('\r\n');
+    await sendSmtp({
+      host: process.env.ALERT_SMTP_HOST || 'localhost',
+      port: parseInt(process.env.ALERT_SMTP_PORT || '1025'),
+      from, to: to.split(',').map(s => s.trim()), subject, body,
+    });
+  },
+};
+
+function registerChannel(name, deliver) {
+  CHANNELS[name] = deliver;
+}
+
+/**
+ * Minimal unauthenticated SMTP client — enough for a local relay or a
+ * catch-all dev server. Use the webhook channel for anything fancier.
+ */
+function sendSmtp({ host, port, from, to, subject, body }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(10000, () => socket.destroy(new Error('SMTP timeout')));
+
+    const message = [
+      `From: ${from}`,
+      `To: ${to.join(', ')}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      body.replace(/^\./gm, '..'),
+      '.',
+    ].join('\r\n');
+    const steps = [
+      'EHLO portfolio-intel',
+      `MAIL FROM:<${from}>`,
+      ...to.map(addr => `RCPT TO:<${addr}>`),
+      'DATA',
+      message,
+      'QUIT',
+    ];
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      // Wait for the last line of a (possibly multi-line) reply: "250 ok", not "250-..."
+      const lines = buffer.split('\r\n').filter(Boolean);
+      const last = lines[lines.length - 1];
+      if (!last || !/^\d{3} /.test(last) || !buffer.endsWith('\r\n')) return;
+      buffer = '';
+      if (parseInt(last) >= 400) return socket.destroy(new Error(`SMTP error: ${last}`));
+      const next = steps.shift();
+      if (next === undefined) return socket.end();
+      socket.write(next + '\r\n');
+    });
+    socket.on('error', reject);
+    socket.on('close', hadError => { if (!hadError) resolve(); });
+  });
+}
+
+// ─── Store ───────────────────────────────────────────────────────────────────
+
+function loadAlerts(pf = getPortfolio()) {
+  if (!fs.existsSync(alertsPath(pf))) return [];
+  try { return JSON.parse(fs.readFileSync(alertsPath(pf), 'utf8')); }
+  catch { return []; }
+}
+
+function storeAlerts(alerts, pf) {
+  const all = [...loadAlerts(pf), ...alerts].slice(-MAX_STORED_ALERTS);
+  fs.mkdirSync(pf.dataDir, { recursive: true });
+  fs.writeFileSync(alertsPath(pf), JSON.stringify(all, null, 2));
+}
+
+/**
+ * Evaluate, store and deliver. Channel failures are logged, never thrown —
+ * a broken webhook must not fail the fetch.
+ */
+async function runAlerts(previous, current, pf = getPortfolio()) {
+  const alerts = evaluateAlerts(previous, current)
+    .map(a => ({ ...a, portfolio: pf.id, portfolioName: pf.name }));
+  if (!alerts.length) {
+    console.log(chalk.gray('   No alerts raised'));
+    return alerts;
+  }
+  storeAlerts(alerts, pf);
+  console.log(chalk.yellow(`   ⚠  ${alerts.length} alert(s) raised — saved to ${path.relative(ROOT, alertsPath(pf))}`));
+
+  const channels = (process.env.ALERT_CHANNELS || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const name of channels) {
+    const deliver = CHANNELS[name];
+    if (!deliver) {
+      console.error(chalk.red(`   Unknown alert channel "${name}"`));
+      continue;
+    }
+    try {
+      await deliver(alerts);
+      console.log(chalk.gray(`   Delivered alerts via ${name}`));
+    } catch (err) {
+      console.error(chalk.red(`   Alert channel ${name} failed:`), err.message);
+    }
+  }
+  return alerts;
+}
+
+export { RULES, evaluateAlerts, registerChannel, loadAlerts, runAlerts };
@@ -0,0 +1,260 @@
+/**
+ * auth.js
+ * Local user accounts for the dashboard server: scrypt password hashes,
+ * signed session cookies and long-lived API tokens.
+ *
+ * Roles, each including the ones before it:
+ *   viewer   — read everything
+ *   analyst  — save folders and hotels, run searches, room lookups and analyses
+ *   admin    — refresh data, edit properties, run the API key test endpoints
+ *
+ * File: users.json (not committed) —
+ *   { users: [{ username, role, password: "scrypt$<salt>$<hash>", createdAt,
+ *               tokens: [{ id, label, hash, createdAt }] }] }
+ * Tokens are shown once when created and stored only as a SHA-256 hash.
+ *
+ * Run: npm run users -- <command>
+ *   list                          — users, roles and token ids
+ *   add <username> <role>         — prompts for a password
+ *   passwd <username>             — set a new password
+ *   role <username> <role>
+ *   remove <username>
+ *   token <username> [label]      — create an API token (printed once)
+ *   revoke <username> <tokenId>
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const USERS_PATH = path.join(ROOT, 'users.json');
+const ROLES = ['viewer', 'analyst', 'admin'];
+const USERNAME_RE = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const SESSION_HOURS = 12;
+
+// ─── Store ───────────────────────────────────────────────────────────────────
+
+function loadUsers() {
+  if (!fs.existsSync(USERS_PATH)) return [];
+  return JSON.parse(fs.readFileSync(USERS_PATH, 'utf8')).users || [];
+}
+
+function saveUsers(users) {
+  const tmp = `${USERS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, USERS_PATH);
+}
+
+const findUser = (users, username) => users.find(u => u.username === String(username || '').toLowerCase());
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// ─── Passwords ───────────────────────────────────────────────────────────────
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * The user for a username/password pair, or null
+ */
+function authenticatePassword(username, password) {
+  const user = findUser(loadUsers(), username);
+  // Hash anyway for unknown users so response time doesn't reveal which names exist
+  if (!user) { verifyPassword(password, `scrypt$00$${'0'.repeat(128)}`); return null; }
+  return verifyPassword(password, user.password) ? user : null;
+}
+
+// ─── API tokens ──────────────────────────────────────────────────────────────
+
+const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+
+function createToken(users, username, label = '') {
+  const user = findUser(users, username);
+  if (!user) throw new Error(`No user "${username}"`);
+  const token = `pi_${crypto.randomBytes(24).toString('base64url')}`;
+  const entry = { id: `t_${crypto.randomBytes(4).toString('hex')}`, label, hash: sha256(token), createdAt: new Date().toISOString() };
+  user.tokens = [...(user.tokens || []), entry];
+  return { token, id: entry.id };
+}
+
+function authenticateToken(token) {
+  if (!token?.startsWith('pi_')) return null;
+  const hash = sha256(token);
+  return loadUsers().find(u => (u.tokens || []).some(t => t.hash === hash)) || null;
+}
+
+// ─── Sessions ────────────────────────────────────────────────────────────────
+
+let sessionSecret;
+
+function getSessionSecret() {
+  if (sessionSecret) return sessionSecret;
+  sessionSecret = process.env.SESSION_SECRET;
+  if (!sessionSecret) {
+    // Sessions then end whenever the server restarts
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+    console.log(chalk.yellow('  ⚠  SESSION_SECRET not set — everyone is logged out when the server restarts'));
+  }
+  return sessionSecret;
+}
+
+const sign = payload => crypto.createHmac('sha256', getSessionSecret()).update(payload).digest('base64url');
+
+// Short fingerprint of the stored password hash — a new password changes it,
+// which ends every session signed before the change
+const passwordFingerprint = user => sha256(String(user.password || '')).slice(0, 16);
+
+/**
+ * Signed cookie value "<payload>.<signature>" — the payload carries the
+ * username, password fingerprint and expiry; the role is looked up fresh on
+ * every request
+ */
+function createSession(user) {
+  const payload = Buffer.from(JSON.stringify({
+    u: user.username, pw: passwordFingerprint(user), exp: Date.now() + SESSION_HOURS * 3600 * 1000,
+  })).toString('base64url');
+  return { value: `${payload}.${sign(payload)}`, maxAge: SESSION_HOURS * 3600 };
+}
+
+function verifySession(value) {
+  const [payload, signature] = String(value || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let session;
+  try { session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); }
+  catch { return null; }
+  if (!session.exp || session.exp < Date.now()) return null;
+  const user = findUser(loadUsers(), session.u);
+  return user && session.pw === passwordFingerprint(user) ? user : null;
+}
+
+/**
+ * What the API returns about a user — never the password hash or token hashes
+ */
+function publicUser(user) {
+  return { username: user.username, role: user.role };
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+function promptPassword(question) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    let muted = false;
+    rl._writeToOutput = s => { if (!muted || s.includes('\n')) process.stdout.write(muted ? '\n' : s); };
+    rl.question(question, answer => { rl.close(); resolve(answer); });
+    muted = true;
+  });
+}
+
+async function readNewPassword() {
+  const password = process.env.NEW_USER_PASSWORD || await promptPassword('Password: ');
+  if (password.length < MIN_PASSWORD_LENGTH) throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  if (!process.env.NEW_USER_PASSWORD && await promptPassword('Repeat password: ') !== password) throw new Error('Passwords do not match');
+  return password;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+}
+
+async function main(args = process.argv.slice(2)) {
+  const [command, username, arg] = args;
+  const users = loadUsers();
+  const name = String(username || '').toLowerCase();
+  const existing = () => {
+    const user = findUser(users, name);
+    if (!user) throw new Error(`No user "${name}"`);
+    return user;
+  };
+
+  switch (command) {
+    case 'list':
+      if (!users.length) console.log(chalk.gray('No users yet — add one with: npm run users -- add <username> admin'));
+      users.forEach(u => console.log(`${chalk.bold(u.username.padEnd(20))} ${u.role.padEnd(8)} ${chalk.gray((u.tokens || []).map(t => `${t.id}${t.label ? ` (${t.label})` : ''}`).join(', '))}`));
+      return;
+    case 'add': {
+      if (!USERNAME_RE.test(name)) throw new Error('Username must be 2–32 characters: a-z, 0-9, . _ -');
+      if (findUser(users, name)) throw new Error(`User "${name}" already exists`);
+      checkRole(arg);
+      users.push({ username: name, role: arg, password: hashPassword(await readNewPassword()), createdAt: new Date().toISOString(), tokens: [] });
+      saveUsers(users);
+      console.log(chalk.green(`Added ${name} (${arg})`));
+      return;
+    }
+    case 'passwd': {
+      const user = existing();
+      user.password = hashPassword(await readNewPassword());
+      saveUsers(users);
+      console.log(chalk.green(`Password changed for ${name} — existing sessions are logged out`));
+      return;
+    }
+    case 'role': {
+      const user = existing();
+      checkRole(arg);
+      user.role = arg;
+      saveUsers(users);
+      console.log(chalk.green(`${name} is now ${arg}`));
+      return;
+    }
+    case 'remove':
+      existing();
+      saveUsers(users.filter(u => u.username !== name));
+      console.log(chalk.green(`Removed ${name}`));
+      return;
+    case 'token': {
+      const { token, id } = createToken(users, name, arg || '');
+      saveUsers(users);
+      console.log(chalk.green(`Token ${id} for ${name} — copy it now, it is not shown again:`));
+      console.log(token);
+      return;
+    }
+    case 'revoke': {
+      const user = existing();
+      const before = (user.tokens || []).length;
+      user.tokens = (user.tokens || []).filter(t => t.id !== arg);
+      if (user.tokens.length === before) throw new Error(`No token "${arg}" for ${name}`);
+      saveUsers(users);
+      console.log(chalk.green(`Revoked ${arg}`));
+      return;
+    }
+    default:
+      console.log('Usage: npm run users -- list | add <username> <role> | passwd <username> | role <username> <role>');
+      console.log('                        remove <username> | token <username> [label] | revoke <username> <tokenId>');
+      console.log(`Roles: ${ROLES.join(', ')}`);
+  }
+}
+
+export {
+  ROLES, loadUsers, hasRole, authenticatePassword, authenticateToken,
+  createSession, verifySession, publicUser, main,
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(chalk.red('Error:'), err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * benchmark.js
+ * Side-by-side benchmark of the hotels saved in a folder — what
+ * /api/folders/:id/benchmark returns and the folder view's Benchmark table shows.
+ *
+ * Per hotel: Google and TripAdvisor rating and review volume, review velocity,
+ * TripAdvisor subratings, room count and price level. Per metric: folder
+ * mean, median, min and max, and each hotel's percentile rank within the
+ * folder. With a subject hotel, every hotel also gets its difference from the
+ * subject on each metric.
+ *
+ * Review velocity is an estimate: only a handful of reviews per source is
+ * cached with a saved hotel, so it is the number of dated cached reviews over
+ * the days since the oldest of them, scaled to 30 days.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * "$$ - $$$" → 2.5, Google's 0–4 → itself; null if unknown
+ */
+function priceLevelValue(hotel) {
+  const google = hotel.cachedData?.priceLevel;
+  if (typeof google === 'number') return google;
+  const ta = hotel.cachedData?.tripadvisor?.priceLevel;
+  if (!ta) return null;
+  const levels = String(ta).split('-').map(part => (part.match(/\$/g) || []).length).filter(Boolean);
+  return levels.length ? levels.reduce((a, b) => a + b, 0) / levels.length : null;
+}
+
+/**
+ * Dates of every cached review, Google and TripAdvisor, in ms
+ */
+function reviewDates(hotel) {
+  const google = (hotel.cachedData?.reviews || []).map(r => (r.time ? r.time * 1000 : NaN));
+  const ta = (hotel.cachedData?.tripadvisor?.reviews || []).map(r => Date.parse(r.publishedDate));
+  return [...google, ...ta].filter(t => Number.isFinite(t));
+}
+
+function reviewVelocity(hotel, now) {
+  const dates = reviewDates(hotel);
+  if (!dates.length) return null;
+  const days = Math.max(1, (now - Math.min(...dates)) / DAY_MS);
+  return Math.round((dates.length / days) * 30 * 10) / 10;
+}
+
+/**
+ * The benchmark columns. Subrating columns are the union of the keys
+ * TripAdvisor returned for any hotel in the folder.
+ * higherIsBetter is null where more isn't better or worse (rooms, price).
+ */
+function benchmarkMetrics(hotels, now) {
+  const metrics = [
+    { key: 'google.rating', label: 'Google rating', higherIsBetter: true, get: h => h.rating },
+    { key: 'google.totalRatings', label: 'Google reviews', higherIsBetter: true, get: h => h.totalRatings },
+    { key: 'tripadvisor.rating', label: 'TripAdvisor rating', higherIsBetter: true, get: h => h.cachedData?.tripadvisor?.rating },
+    { key: 'tripadvisor.numReviews', label: 'TripAdvisor reviews', higherIsBetter: true, get: h => Number(h.cachedData?.tripadvisor?.numReviews) },
+    { key: 'reviewVelocity', label: 'Reviews / 30 days (est.)', higherIsBetter: true, get: h => reviewVelocity(h, now) },
+  ];
+  const subratings = new Map();
+  hotels.forEach(h => Object.entries(h.cachedData?.tripadvisor?.subratings || {}).forEach(([k, s]) => {
+    if (!subratings.has(k)) subratings.set(k, s.name || k);
+  }));
+  subratings.forEach((label, k) => metrics.push({
+    key: `tripadvisor.subratings.${k}`, label, higherIsBetter: true,
+    get: h => h.cachedData?.tripadvisor?.subratings?.[k]?.value,
+  }));
+  metrics.push(
+    { key: 'numRooms', label: 'Room count', higherIsBetter: null, get: h => h.numRooms },
+    { key: 'priceLevel', label: 'Price level', higherIsBetter: null, get: priceLevelValue },
+  );
+  return metrics;
+}
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+function summarise(values) {
+  if (!values.length) return { count: 0, mean: null, median: null, min: null, max: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return {
+    count: values.length,
+    mean: round(values.reduce((a, b) => a + b, 0) / values.length),
+    median: round(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Percentile rank (0–100) of `value` among `values` — ties count half, so
+ * the middle of a folder sits at 50 whatever its size
+ */
+function percentileRank(value, values) {
+  const below = values.filter(v => v < value).length;
+  const equal = values.filter(v => v === value).length;
+  return Math.round(((below + 0.5 * equal) / values.length) * 100);
+}
+
+/**
+ * Benchmark a folder's hotels (full hotels, cachedData included).
+ * `subject` is the placeId the others are compared against, or null.
+ */
+function benchmarkFolder(folder, hotels, { subject = null, now = Date.now() } = {}) {
+  const metrics = benchmarkMetrics(hotels, now);
+  const subjectHotel = subject ? hotels.find(h => h.placeId === subject) : null;
+  if (subject && !subjectHotel) throw new Error(`Subject ${subject} is not in this folder`);
+
+  const values = hotels.map(h => Object.fromEntries(metrics.map(m => {
+    const v = m.get(h);
+    return [m.key, isNumber(v) ? v : null];
+  })));
+  const columns = Object.fromEntries(metrics.map(m => [m.key, values.map(v => v[m.key]).filter(isNumber)]));
+  const subjectValues = subjectHotel ? values[hotels.indexOf(subjectHotel)] : null;
+
+  return {
+    folder: { id: folder.id, name: folder.name },
+    generatedAt: new Date(now).toISOString(),
+    subject: subjectHotel ? subjectHotel.placeId : null,
+    metrics: metrics.map(m => ({ key: m.key, label: m.label, higherIsBetter: m.higherIsBetter, ...summarise(columns[m.key]) })),
+    hotels: hotels.map((h, i) => ({
+      placeId: h.placeId,
+      name: h.name,
+      address: h.address ?? null,
+      lastFetched: h.lastFetched ?? null,
+      isSubject: h === subjectHotel,
+      metrics: Object.fromEntries(metrics.map(m => {
+        const value = values[i][m.key];
+        const base = subjectValues?.[m.key];
+        return [m.key, {
+          value,
+          percentile: value == null || columns[m.key].length < 2 ? null : percentileRank(value, columns[m.key]),
+          delta: value == null || !isNumber(base) ? null : round(value - base),
+        }];
+      })),
+    })),
+  };
+}
+
+export { benchmarkFolder, priceLevelValue, reviewVelocity };
@@ -0,0 +1,80 @@
+/**
+ * compset.js
+ * Benchmarks each portfolio property against its competitive set.
+ *
+ * Competitors are listed per property in properties.json:
+ *   "compSet": [{ "name": "...", "googlePlaceId": "...", "tripadvisorLocationId": "..." }]
+ *
+ * fetch-google.js / fetch-tripadvisor.js fetch them alongside the property;
+ * fetch-all.js calls mergeCompSet() + compSetRanks() when building portfolio.json.
+ */
+
+/**
+ * Join the Google and TripAdvisor comp results back onto the configured
+ * competitor list (matched by pinned ID, so list order can change freely)
+ */
+function mergeCompSet(property, google, tripadvisor) {
+  const gById = Object.fromEntries((google?.compSet || []).map(c => [c.placeId, c]));
+  const taById = Object.fromEntries((tripadvisor?.compSet || []).map(c => [String(c.locationId), c]));
+  return (property.compSet || []).map(c => ({
+    name: c.name,
+    googlePlaceId: c.googlePlaceId || null,
+    tripadvisorLocationId: c.tripadvisorLocationId ? String(c.tripadvisorLocationId) : null,
+    google: (c.googlePlaceId && gById[c.googlePlaceId]) || null,
+    tripadvisor: (c.tripadvisorLocationId && taById[String(c.tripadvisorLocationId)]) || null,
+  }));
+}
+
+/**
+ * The metrics we rank on. Subrating keys come from whatever TripAdvisor
+ * returned for our own hotel.
+ */
+function rankedMetrics(entry) {
+  const metrics = [
+    { key: 'google.rating', label: 'Google rating', get: e => e.google?.rating },
+    { key: 'google.totalRatings', label: 'Google review volume', get: e => e.google?.totalRatings },
+    { key: 'tripadvisor.rating', label: 'TripAdvisor rating', get: e => e.tripadvisor?.rating },
+    { key: 'tripadvisor.numReviews', label: 'TripAdvisor review volume', get: e => e.tripadvisor?.numReviews },
+  ];
+  Object.entries(entry.tripadvisor?.subratings || {}).forEach(([k, s]) => {
+    metrics.push({
+      key: `tripadvisor.subratings.${k}`,
+      label: s.name || k,
+      get: e => e.tripadvisor?.subratings?.[k]?.value,
+    });
+  });
+  return metrics;
+}
+
+/**
+ * Our hotel's rank (1 = best) within [self + competitors] for every metric.
+ * Ties share a rank; competitors without a value for a metric are left out.
+ */
+function compSetRanks(entry) {
+  const ok = src => (src && !src.error ? src : null);
+  const self = { google: ok(entry.google), tripadvisor: ok(entry.tripadvisor) };
+  const comps = (entry.compSet || []).map(c => ({ name: c.name, google: ok(c.google), tripadvisor: ok(c.tripadvisor) }));
+  if (!comps.length) return {};
+
+  const ranks = {};
+  for (const m of rankedMetrics(self)) {
+    const value = m.get(self);
+    if (typeof value !== 'number' || Number.isNaN(value)) continue;
+    const field = comps
+      .map(c => ({ name: c.name, value: m.get(c) }))
+      .filter(c => typeof c.value === 'number' && !Number.isNaN(c.value));
+    const all = [value, ...field.map(c => c.value)];
+    const leader = field.reduce((best, c) => (c.value > (best?.value ?? -Infinity) ? c : best), null);
+    ranks[m.key] = {
+      label: m.label,
+      value,
+      rank: 1 + all.filter(v => v > value).length,
+      of: all.length,
+      best: Math.max(...all),
+      leader: leader && leader.value > value ? leader.name : null,
+    };
+  }
+  return ranks;
+}
+
+export { mergeCompSet, compSetRanks };
@@ -1,13 +1,40 @@
 /**
  * fetch-all.js
  * Orchestrates fetching from all sources and generates the merged
- * portfolio.json that the dashboard reads from.
+ * portfolio.json that the dashboard reads from, plus a dated snapshot
+ * in history.jsonl so rating trends are kept across runs. Photos are
+ * downloaded to the local photo cache so no API key ends up in the output.
  *
- * Run: npm run fetch
+ * Each named portfolio (portfolios.js) is refreshed in turn, into its own
+ * data directory and docs export.
+ *
+ * The server runs this as a background job (jobs.js): `job` then receives
+ * per-property progress and the notable log lines, and a cancel stops the
+ * run between steps, before the merged files are rewritten.
+ *
+ * Run: npm run fetch                          (every portfolio)
+ *      npm run fetch -- --portfolio fund-ii   (one portfolio)
+ *      npm run fetch -- --property 3,7        (only these properties)
+ *      npm run fetch -- --source tripadvisor  (one source)
+ *      npm run fetch -- --stale 14            (only results older than 14 days or failed)
+ *      npm run fetch -- --failed              (only failed results)
+ * The selection flags combine and are described in fetch-options.js. The
+ * merge, alerts and exports still cover the whole portfolio; a selective run
+ * skips a portfolio where nothing matches.
  */
 
 import { main as fetchGoogle } from './fetch-google.js';
 import { main as fetchTripadvisor } from './fetch-tripadvisor.js';
+import { appendSnapshot } from './history.js';
+import { mergeCompSet, compSetRanks } from './compset.js';
+import { runAlerts } from './alerts.js';
+import { main as tagAspects } from './tag-aspects.js';
+import { cachePortfolioPhotos, exportStaticSite, pruneStaticPhotos } from './photo-cache.js';
+import { annotatePortfolioPhotos } from './photo-intel.js';
+import { listPortfolios, portfolioFromArgs, dataFile } from './portfolios.js';
+import { loadProperties } from './properties.js';
+import { JobCancelledError } from './jobs.js';
+import { selectionFromArgs, selectProperties, previousResults, describeSelection, isSelective } from './fetch-options.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -26,53 +53,113 @@ if (fs.existsSync(envPath)) {
   });
 }
 
-async function main() {
+// Steps after the fetchers, per portfolio: merge, photos, photo scoring, alerts + aspects, export
+const PUBLISH_STEPS = 5;
+
+/**
+ * Refresh one portfolio or, without `only`, every portfolio in turn.
+ * `selection` narrows the run down (see fetch-options.js).
+ */
+async function main(only = null, job = null, selection = {}) {
   const hasGoogle = process.env.GOOGLE_PLACES_API_KEY &&
     process.env.GOOGLE_PLACES_API_KEY !== 'your_google_places_api_key_here';
 
   const hasTA = process.env.TRIPADVISOR_API_KEY &&
     process.env.TRIPADVISOR_API_KEY !== 'your_tripadvisor_api_key_here';
 
-  const properties = JSON.parse(
-    fs.readFileSync(path.join(ROOT, 'properties.json'), 'utf8')
-  );
+  const portfolios = only ? [only] : listPortfolios();
+
+  // Why a source won't run, or null when it will
+  const skipReason = (source, hasKey) => {
+    if (selection.source && selection.source !== source) return `source ${selection.source} only`;
+    return hasKey ? null : 'no API key';
+  };
+  const skip = { google: skipReason('google', hasGoogle), tripadvisor: skipReason('tripadvisor', hasTA) };
 
   console.log(chalk.bold('\n═══════════════════════════════════════════'));
   console.log(chalk.bold('  PORTFOLIO INTEL — Data Fetch'));
   console.log(chalk.bold('═══════════════════════════════════════════'));
   console.log(chalk.cyan(`  Google Places API:  ${hasGoogle ? chalk.green('✓ configured') : chalk.red('✗ missing key')}`));
   console.log(chalk.cyan(`  TripAdvisor API:    ${hasTA ? chalk.green('✓ configured') : chalk.red('✗ missing key')}`));
+  console.log(chalk.cyan(`  Portfolios:         ${portfolios.map(pf => pf.name).join(', ')}`));
+  console.log(chalk.cyan(`  Refreshing:         ${describeSelection(selection)}`));
   console.log();
 
+  // How many properties each source will fetch per portfolio — for the
+  // progress total, and so a selective run can pass over a portfolio
+  const plan = portfolios.map(pf => {
+    const properties = loadProperties(pf);
+    const count = source => (skip[source] ? 0 : selectProperties(properties, previousResults(pf, source), selection).length);
+    return { pf, google: count('google'), tripadvisor: count('tripadvisor') };
+  });
+  const idle = p => isSelective(selection) && !p.google && !p.tripadvisor;
+  job?.setTotal(plan.reduce((n, p) => n + (idle(p) ? 0 : p.google + p.tripadvisor + PUBLISH_STEPS), 0));
+  if (isSelective(selection) || selection.source) job?.log(`Refreshing ${describeSelection(selection)}`);
+  if (skip.google) job?.log(`Skipping Google (${skip.google})`, skip.google === 'no API key' ? 'warn' : 'info');
+  if (skip.tripadvisor) job?.log(`Skipping TripAdvisor (${skip.tripadvisor})`, skip.tripadvisor === 'no API key' ? 'warn' : 'info');
+
+  for (const p of plan) {
+    job?.throwIfCancelled();
+    if (idle(p)) {
+      console.log(chalk.gray(`\n─── ${p.pf.name}: nothing matches the selection, skipped`));
+      job?.log(`${p.pf.name}: nothing matches the selection, skipped`);
+      continue;
+    }
+    await refreshPortfolio(p.pf, { skip, selection }, job);
+  }
+
+  // Photos are shared across portfolios, so prune once every export is written
+  pruneStaticPhotos();
+  console.log(chalk.bold('\n→ Run `npm start` to launch the dashboard\n'));
+}
+
+/**
+ * Fetch, merge and publish a single portfolio
+ */
+async function refreshPortfolio(pf, { skip, selection }, job = null) {
+  const properties = loadProperties(pf);
+  const rel = file => path.relative(ROOT, file);
+
+  console.log(chalk.bold(`\n─── ${pf.name} (${properties.length} properties) ───\n`));
+  job?.log(`${pf.name}: ${properties.length} properties`);
+
   // Run fetchers
-  if (hasGoogle) {
+  if (!skip.google) {
     console.log(chalk.bold.green('Running Google Places fetcher...'));
     try {
-      await fetchGoogle();
+      await fetchGoogle(pf, job, selection);
     } catch (e) {
+      if (e instanceof JobCancelledError) throw e;
       console.error(chalk.red('Google fetcher failed:'), e.message);
+      job?.log(`Google fetcher failed: ${e.message}`, 'error');
     }
   } else {
-    console.log(chalk.yellow('⚠  Skipping Google (no API key)'));
+    console.log(chalk.yellow(`⚠  Skipping Google (${skip.google})`));
   }
 
-  if (hasTA) {
+  if (!skip.tripadvisor) {
     console.log(chalk.bold.yellow('Running TripAdvisor fetcher...'));
     try {
-      await fetchTripadvisor();
+      await fetchTripadvisor(pf, job, selection);
     } catch (e) {
+      if (e instanceof JobCancelledError) throw e;
       console.error(chalk.red('TripAdvisor fetcher failed:'), e.message);
+      job?.log(`TripAdvisor fetcher failed: ${e.message}`, 'error');
     }
   } else {
-    console.log(chalk.yellow('⚠  Skipping TripAdvisor (no API key)'));
+    console.log(chalk.yellow(`⚠  Skipping TripAdvisor (${skip.tripadvisor})`));
   }
 
+  // Last chance to stop before portfolio.json and the exports are rewritten
+  job?.throwIfCancelled();
+
   // Merge into portfolio.json
   console.log(chalk.bold('\nMerging data into portfolio.json...'));
+  job?.step(`${pf.name} — merging`);
 
-  const dataDir = path.join(ROOT, 'data');
-  const googlePath = path.join(dataDir, 'google.json');
-  const taPath = path.join(dataDir, 'tripadvisor.json');
+  const dataDir = pf.dataDir;
+  const googlePath = dataFile(pf, 'google.json');
+  const taPath = dataFile(pf, 'tripadvisor.json');
 
   const googleData = fs.existsSync(googlePath)
     ? JSON.parse(fs.readFileSync(googlePath, 'utf8'))
@@ -90,24 +177,51 @@ async function main() {
   taData.forEach(t => { taMap[t.propertyId] = t; });
 
   // Merge
-  const portfolio = properties.map(p => ({
-    id: p.id,
-    name: p.name,
-    brand: p.brand,
-    city: p.city,
-    state: p.state,
-    address: p.address,
-    google: googleMap[p.id] || null,
-    tripadvisor: taMap[p.id] || null,
-  }));
+  const portfolio = properties.map(p => {
+    const entry = {
+      id: p.id,
+      name: p.name,
+      brand: p.brand,
+      city: p.city,
+      state: p.state,
+      address: p.address,
+      google: googleMap[p.id] || null,
+      tripadvisor: taMap[p.id] || null,
+    };
+    entry.compSet = mergeCompSet(p, entry.google, entry.tripadvisor);
+    entry.compSetRanks = compSetRanks(entry);
+    return entry;
+  });
+
+  job?.advance(`${pf.name} — caching photos`);
+
+  // Swap photo references / CDN URLs for self-hosted copies
+  console.log(chalk.bold('\nCaching photos...'));
+  const photoStats = await cachePortfolioPhotos(portfolio);
+  console.log(chalk.gray(`   ${photoStats.cached} photos cached in data/photos/${photoStats.failed ? `, ${photoStats.failed} failed` : ''}`));
+  if (photoStats.failed) job?.log(`${pf.name}: ${photoStats.failed} photos failed to cache`, 'warn');
+  job?.advance(`${pf.name} — scoring photos`);
+
+  // Categorise photos, flag stale ones and score coverage per property
+  const { visionCalls } = await annotatePortfolioPhotos(portfolio);
+  console.log(chalk.gray(`   Photo coverage scored${visionCalls ? ` (${visionCalls} photos classified with Claude vision)` : ''}`));
+  job?.advance(`${pf.name} — alerts and review themes`);
 
   // Summary stats
   const withGoogle = portfolio.filter(p => p.google && !p.google.error).length;
   const withTA = portfolio.filter(p => p.tripadvisor && !p.tripadvisor.error).length;
 
+  // Keep the previous run around for the alert engine before overwriting it
+  const portfolioPath = dataFile(pf, 'portfolio.json');
+  let previous = [];
+  if (fs.existsSync(portfolioPath)) {
+    try { previous = JSON.parse(fs.readFileSync(portfolioPath, 'utf8')); }
+    catch { previous = []; }
+  }
+
   if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
   fs.writeFileSync(
-    path.join(dataDir, 'portfolio.json'),
+    portfolioPath,
     JSON.stringify(portfolio, null, 2)
   );
 
@@ -118,26 +232,46 @@ async function main() {
     googleSuccess: withGoogle,
     taSuccess: withTA,
   };
-  fs.writeFileSync(path.join(dataDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  fs.writeFileSync(dataFile(pf, 'metadata.json'), JSON.stringify(metadata, null, 2));
+
+  // Record a dated snapshot so rating changes survive the overwrite above
+  appendSnapshot(portfolio, metadata.lastFetch, pf);
+  console.log(chalk.gray(`   Appended snapshot to ${rel(dataFile(pf, 'history.jsonl'))}`));
+
+  // Compare against the previous run and deliver any alerts
+  console.log(chalk.bold('\nChecking alert rules...'));
+  try {
+    await runAlerts(previous, portfolio, pf);
+  } catch (e) {
+    console.error(chalk.red('Alert engine failed:'), e.message);
+    job?.log(`Alert engine failed: ${e.message}`, 'error');
+  }
+
+  // Re-tag review aspects so the theme heatmap reflects the new reviews
+  try {
+    await tagAspects(pf);
+  } catch (e) {
+    console.error(chalk.red('Aspect tagging failed:'), e.message);
+    job?.log(`Aspect tagging failed: ${e.message}`, 'error');
+  }
+  job?.advance(`${pf.name} — exporting`);
 
   // Copy data to docs/ for GitHub Pages static site
-  const docsDataDir = path.join(ROOT, 'docs', 'data');
-  if (!fs.existsSync(docsDataDir)) fs.mkdirSync(docsDataDir, { recursive: true });
-  fs.copyFileSync(path.join(dataDir, 'portfolio.json'), path.join(docsDataDir, 'portfolio.json'));
-  fs.copyFileSync(path.join(dataDir, 'metadata.json'), path.join(docsDataDir, 'metadata.json'));
-  console.log(chalk.gray('   Copied data to docs/data/ for GitHub Pages'));
+  exportStaticSite(pf, portfolio);
+  console.log(chalk.gray(`   Copied data to ${rel(pf.docsDataDir)}/ for GitHub Pages`));
+  job?.advance(`${pf.name} — done`);
+  job?.log(`${pf.name}: ${withGoogle}/${properties.length} with Google data, ${withTA}/${properties.length} with TripAdvisor data`);
 
-  console.log(chalk.bold.green('\n✅ Portfolio data ready!'));
+  console.log(chalk.bold.green(`\n✅ ${pf.name} data ready!`));
   console.log(chalk.green(`   ${withGoogle}/${properties.length} properties have Google data`));
   console.log(chalk.green(`   ${withTA}/${properties.length} properties have TripAdvisor data`));
-  console.log(chalk.gray(`   Saved to data/portfolio.json`));
-  console.log(chalk.bold('\n→ Run `npm start` to launch the dashboard\n'));
+  console.log(chalk.gray(`   Saved to ${rel(portfolioPath)}`));
 }
 
 export { main };
 
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  main().catch(err => {
+  Promise.resolve().then(() => main(portfolioFromArgs(), null, selectionFromArgs())).catch(err => {
     console.error(chalk.red('Fatal error:'), err);
     process.exit(1);
   });
@@ -2,19 +2,33 @@
  * fetch-google.js
  * Fetches Google Places data for each property:
  *   - Overall rating, review count
- *   - Up to 5 most recent reviews (text, author, rating, date)
- *   - Up to 20 photo references (converted to usable URLs)
+ *   - Up to 5 most recent reviews (text, author, rating, date), added to the
+ *     local review archive so the corpus grows across runs (review-store.js)
+ *   - Up to 20 photo references (downloaded to the local photo cache by
+ *     fetch-all.js — see photo-cache.js — so no keyed URL is ever stored)
  *   - Place details (website, phone, hours)
+ *   - Rating + review count for each comp-set hotel (by pinned placeId)
+ *
+ * The hotel is looked up by its pinned googlePlaceId when properties.json has
+ * one; otherwise text-search candidates are scored by name, address and
+ * distance (match.js) and a low-confidence best match is marked needsReview
+ * instead of being fetched.
  *
  * API: Google Places API (New)
  * Docs: https://developers.google.com/maps/documentation/places/web-service
  */
 
-import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import { loadReviewStore, addReviews, propertyReviews } from './review-store.js';
+import { pickBestMatch } from './match.js';
+import { getPortfolio, portfolioFromArgs, dataFile } from './portfolios.js';
+import { loadProperties } from './properties.js';
+import { BudgetExceededError } from './usage.js';
+import { google, CircuitOpenError } from './providers.js';
+import { selectionFromArgs, selectProperties, describeSelection, isSelective } from './fetch-options.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
@@ -30,21 +44,23 @@ if (fs.existsSync(envPath)) {
 }
 
 let API_KEY; // Set inside main() so this module is safe to import
-const PHOTO_MAX_WIDTH = 800;
+let reviewStore; // Loaded inside main()
 const MAX_PHOTOS = 60;
-const DELAY_MS = 300; // Be polite to the API
-
-const dataDir = path.join(ROOT, 'data');
-if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
 
-const sleep = ms => new Promise(r => setTimeout(r, ms));
+const knownCoords = property =>
+  typeof property.lat === 'number' && typeof property.lng === 'number' ? { lat: property.lat, lng: property.lng } : null;
 
 /**
- * Step 1: Text Search to find the Place ID
+ * Step 1: Resolve the Place ID — pinned, or the best-scoring text search result
  */
 async function findPlaceId(property) {
+  if (property.googlePlaceId) {
+    return { placeId: property.googlePlaceId, match: { method: 'pinned', confidence: 1 } };
+  }
+  if (!property.googleQuery) throw new Error('No googlePlaceId or googleQuery configured');
+
   const url = 'https://maps.googleapis.com/maps/api/place/textsearch/json';
-  const response = await axios.get(url, {
+  const response = await google.get(url, {
     params: {
       query: property.googleQuery,
       type: 'lodging',
@@ -57,13 +73,23 @@ async function findPlaceId(property) {
     throw new Error(`No results found for "${property.googleQuery}"`);
   }
 
-  // Return the first (most relevant) result
+  const candidates = results.slice(0, 5).map(r => ({
+    id: r.place_id,
+    name: r.name,
+    address: r.formatted_address,
+    lat: r.geometry?.location?.lat,
+    lng: r.geometry?.location?.lng,
+    rating: r.rating,
+    totalRatings: r.user_ratings_total,
+  }));
+  const { best, ...match } = pickBestMatch(property, candidates, knownCoords(property));
   return {
-    placeId: results[0].place_id,
-    name: results[0].name,
-    rating: results[0].rating,
-    totalRatings: results[0].user_ratings_total,
-    address: results[0].formatted_address,
+    placeId: best.id,
+    name: best.name,
+    rating: best.rating,
+    totalRatings: best.totalRatings,
+    address: best.address,
+    match: { method: 'search', ...match },
   };
 }
 
@@ -72,7 +98,7 @@ async function findPlaceId(property) {
  */
 async function getPlaceDetails(placeId) {
   const url = 'https://maps.googleapis.com/maps/api/place/details/json';
-  const response = await axios.get(url, {
+  const response = await google.get(url, {
     params: {
       place_id: placeId,
       fields: [
@@ -86,6 +112,8 @@ async function getPlaceDetails(placeId) {
         'opening_hours',
         'url',
         'price_level',
+        'formatted_address',
+        'geometry',
       ].join(','),
       key: API_KEY,
     }
@@ -95,26 +123,73 @@ async function getPlaceDetails(placeId) {
 }
 
 /**
- * Convert photo reference to direct URL
+ * Rating + review count for one comp-set hotel. Only the fields needed for
+ * benchmarking are requested — no reviews or photos.
  */
-function photoRefToUrl(photoReference) {
-  return `https://maps.googleapis.com/maps/api/place/photo?maxwidth=${PHOTO_MAX_WIDTH}&photoreference=${photoReference}&key=${API_KEY}`;
+async function fetchCompetitor(comp) {
+  try {
+    const url = 'https://maps.googleapis.com/maps/api/place/details/json';
+    const response = await google.get(url, {
+      params: {
+        place_id: comp.googlePlaceId,
+        fields: 'name,rating,user_ratings_total,url',
+        key: API_KEY,
+      }
+    });
+    // Throttled, denied or stale place ids come back 200 with no result
+    const { status, error_message: detail } = response.data;
+    if (status !== 'OK') throw new Error(`Place Details ${status}${detail ? `: ${detail}` : ''}`);
+    const d = response.data.result;
+    return {
+      placeId: comp.googlePlaceId,
+      name: d.name || comp.name,
+      rating: d.rating ?? null,
+      totalRatings: d.user_ratings_total ?? null,
+      googleMapsUrl: d.url,
+    };
+  } catch (err) {
+    if (err instanceof BudgetExceededError || err instanceof CircuitOpenError) throw err;
+    console.error(chalk.red(`      ✗ Comp ${comp.name}: ${err.message}`));
+    return { placeId: comp.googlePlaceId, name: comp.name, error: err.message };
+  }
+}
+
+async function fetchCompSet(property) {
+  const comps = (property.compSet || []).filter(c => c.googlePlaceId);
+  const results = [];
+  for (const comp of comps) {
+    results.push(await fetchCompetitor(comp));
+  }
+  if (comps.length) console.log(chalk.gray(`      → ${comps.length} comp-set hotel(s)`));
+  return results;
 }
 
 /**
  * Main fetch function for a single property
  */
-async function fetchProperty(property) {
-  console.log(chalk.cyan(`  [${property.id}/18] ${property.name}...`));
+async function fetchProperty(property, position) {
+  console.log(chalk.cyan(`  [${position}] ${property.name}...`));
 
   try {
     // Find place ID
     const basic = await findPlaceId(property);
-    await sleep(DELAY_MS);
+    if (basic.match.needsReview) {
+      const m = basic.match;
+      console.log(chalk.yellow(`    ⚠ Needs review: best match "${m.candidates[0].name}" (confidence ${m.confidence}) — pin googlePlaceId to fix`));
+      return {
+        propertyId: property.id,
+        source: 'google',
+        fetchedAt: new Date().toISOString(),
+        error: `Needs review: best match "${m.candidates[0].name}" scored ${m.confidence}`,
+        needsReview: true,
+        match: m,
+        reviews: [],
+        photos: [],
+      };
+    }
 
     // Get full details
     const details = await getPlaceDetails(basic.placeId);
-    await sleep(DELAY_MS);
 
     // Process reviews
     const reviews = (details.reviews || []).map(r => ({
@@ -127,16 +202,24 @@ async function fetchProperty(property) {
       googleMapsUrl: r.author_url,
     }));
 
+    // Archive new reviews; report everything we have ever seen for this place
+    const archiveKey = { source: 'google', propertyId: property.id, sourceId: basic.placeId };
+    const newReviews = addReviews(reviewStore, archiveKey, reviews);
+    const archivedReviews = propertyReviews(reviewStore, archiveKey);
+    console.log(chalk.gray(`      → ${newReviews} new review(s), ${archivedReviews.length} archived`));
+
     // Process photos (first MAX_PHOTOS)
     const photos = (details.photos || [])
       .slice(0, MAX_PHOTOS)
       .map(p => ({
-        url: photoRefToUrl(p.photo_reference),
+        photoReference: p.photo_reference,
         width: p.width,
         height: p.height,
         attributions: p.html_attributions,
       }));
 
+    const compSet = await fetchCompSet(property);
+
     return {
       propertyId: property.id,
       source: 'google',
@@ -147,13 +230,21 @@ async function fetchProperty(property) {
       phone: details.formatted_phone_number,
       rating: details.rating || basic.rating,
       totalRatings: details.user_ratings_total || basic.totalRatings,
-      address: basic.address,
-      reviews,
+      address: details.formatted_address || basic.address,
+      lat: details.geometry?.location?.lat ?? null,
+      lng: details.geometry?.location?.lng ?? null,
+      match: basic.match,
+      reviews: archivedReviews,
+      newReviews,
       photos,
       rawName: details.name,
+      compSet,
     };
 
   } catch (err) {
+    // Out of budget or the API is down: stop the run and keep the previous
+    // results rather than overwriting them with error entries
+    if (err instanceof BudgetExceededError || err instanceof CircuitOpenError) throw err;
     console.error(chalk.red(`    ✗ Failed: ${err.message}`));
     return {
       propertyId: property.id,
@@ -167,54 +258,66 @@ async function fetchProperty(property) {
 }
 
 /**
- * Run all properties and save results
+ * Run the properties of one portfolio and save results to its google.json —
+ * all of them, or those picked by `selection` (fetch-options.js); results for
+ * the others are kept as they are.
+ * `job` is the jobs.js context when run as a server refresh job — progress
+ * is reported per property and a cancel takes effect between properties.
  */
-async function main() {
+async function main(pf = getPortfolio(), job = null, selection = {}) {
   API_KEY = process.env.GOOGLE_PLACES_API_KEY;
   if (!API_KEY || API_KEY === 'your_google_places_api_key_here') {
     throw new Error('Missing GOOGLE_PLACES_API_KEY in environment');
   }
 
-  const properties = JSON.parse(
-    fs.readFileSync(path.join(ROOT, 'properties.json'), 'utf8')
-  );
+  const allProperties = loadProperties(pf);
+  reviewStore = loadReviewStore(pf);
+  fs.mkdirSync(pf.dataDir, { recursive: true });
 
-  console.log(chalk.bold.green('\n🗺  Google Places Fetcher'));
-  console.log(chalk.gray(`  Fetching ${properties.length} properties...\n`));
+  console.log(chalk.bold.green(`\n🗺  Google Places Fetcher — ${pf.name}`));
 
   const results = {};
-  const existingPath = path.join(dataDir, 'google.json');
+  const outputPath = dataFile(pf, 'google.json');
 
   // Load existing data so we can skip or merge if needed
-  if (fs.existsSync(existingPath)) {
-    const existing = JSON.parse(fs.readFileSync(existingPath, 'utf8'));
+  if (fs.existsSync(outputPath)) {
+    const existing = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
     existing.forEach(p => { results[p.propertyId] = p; });
   }
 
-  for (const property of properties) {
-    const data = await fetchProperty(property);
+  const properties = selectProperties(allProperties, results, selection);
+  const unknown = (selection.propertyIds || []).filter(id => !allProperties.some(p => p.id === id));
+  if (unknown.length) console.log(chalk.yellow(`  ⚠  No property with id ${unknown.join(', ')} in ${pf.name}`));
+  const scope = isSelective(selection) ? ` of ${allProperties.length} — ${describeSelection(selection)}` : '';
+  console.log(chalk.gray(`  Fetching ${properties.length} properties${scope}...\n`));
+
+  for (const [i, property] of properties.entries()) {
+    job?.throwIfCancelled();
+    const data = await fetchProperty(property, `${i + 1}/${properties.length}`);
     results[property.id] = data;
+    job?.advance(`Google ${i + 1}/${properties.length} — ${property.name}`);
+    if (data.error) job?.log(`Google: ${property.name} — ${data.error}`, 'warn');
 
     // Save incrementally (so progress isn't lost on crash)
     fs.writeFileSync(
-      existingPath,
+      outputPath,
       JSON.stringify(Object.values(results), null, 2)
     );
   }
 
-  const successCount = Object.values(results).filter(r => !r.error).length;
-  const failCount = Object.values(results).filter(r => r.error).length;
+  const successCount = allProperties.filter(p => results[p.id] && !results[p.id].error).length;
+  const failCount = allProperties.filter(p => results[p.id]?.error).length;
 
   console.log(chalk.bold.green(`\n✅ Google fetch complete`));
-  console.log(chalk.green(`   Success: ${successCount}/${properties.length}`));
+  console.log(chalk.green(`   Success: ${successCount}/${allProperties.length}`));
   if (failCount > 0) console.log(chalk.yellow(`   Failures: ${failCount}`));
-  console.log(chalk.gray(`   Saved to data/google.json\n`));
+  console.log(chalk.gray(`   Saved to ${path.relative(ROOT, outputPath)}\n`));
 }
 
 export { main };
 
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  main().catch(err => {
+  Promise.resolve().then(() => main(portfolioFromArgs() || getPortfolio(), null, selectionFromArgs())).catch(err => {
     console.error(chalk.red('Fatal error:'), err);
     process.exit(1);
   });
@@ -0,0 +1,113 @@
+/**
+ * fetch-options.js
+ * Which properties a fetch run covers. By default every property is fetched;
+ * a selection narrows that down so fixing one failed hotel doesn't spend the
+ * API quota of all of them:
+ *   propertyIds  — only these properties.json ids
+ *   staleDays    — only properties whose last result for that source is
+ *                  missing, an error, or fetched more than N days ago
+ *   failedOnly   — only properties whose last result is missing or an error
+ *   source       — fetch-all only: 'google' or 'tripadvisor'
+ * The filters combine (ids AND stale/failed).
+ *
+ * CLI flags, shared by fetch-all.js, fetch-google.js and fetch-tripadvisor.js:
+ *   --property 3,7      (repeatable)
+ *   --stale 14
+ *   --failed
+ *   --source google     (fetch-all.js)
+ * POST /api/refresh takes the same options as a JSON body.
+ */
+
+import fs from 'fs';
+import { dataFile } from './portfolios.js';
+
+const SOURCES = { google: 'google.json', tripadvisor: 'tripadvisor.json' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check and normalise a selection (CLI flags or an API body).
+ * Throws with a readable message for bad input.
+ */
+function normaliseSelection(raw = {}) {
+  const selection = {};
+  if (raw.propertyIds != null) {
+    const ids = (Array.isArray(raw.propertyIds) ? raw.propertyIds : [raw.propertyIds]).map(Number);
+    if (!ids.length || ids.some(id => !Number.isInteger(id) || id < 1)) throw new Error('propertyIds must be a list of property ids');
+    selection.propertyIds = [...new Set(ids)];
+  }
+  if (raw.staleDays != null) {
+    const days = Number(raw.staleDays);
+    if (!Number.isFinite(days) || days < 0) throw new Error('staleDays must be a number of days (0 or more)');
+    selection.staleDays = days;
+  }
+  if (raw.failedOnly) selection.failedOnly = true;
+  if (raw.source != null) {
+    if (!SOURCES[raw.source]) throw new Error(`source must be one of: ${Object.keys(SOURCES).join(', ')}`);
+    selection.source = raw.source;
+  }
+  return selection;
+}
+
+/**
+ * --property / --stale / --failed / --source from the command line
+ */
+function selectionFromArgs(argv = process.argv) {
+  const raw = {};
+  argv.forEach((arg, i) => {
+    const value = argv[i + 1];
+    if (arg === '--property') {
+      if (!value || value.startsWith('--')) throw new Error('--property needs an id (e.g. --property 3,7)');
+      raw.propertyIds = [...(raw.propertyIds || []), ...value.split(',').filter(Boolean)];
+    } else if (arg === '--stale') {
+      if (!value || value.startsWith('--')) throw new Error('--stale needs a number of days');
+      raw.staleDays = value;
+    } else if (arg === '--failed') {
+      raw.failedOnly = true;
+    } else if (arg === '--source') {
+      raw.source = value;
+    }
+  });
+  return normaliseSelection(raw);
+}
+
+const isSelective = selection => selection.propertyIds != null || selection.staleDays != null || !!selection.failedOnly;
+
+/**
+ * The previous results of one source for a portfolio, by property id
+ */
+function previousResults(pf, source) {
+  const file = dataFile(pf, SOURCES[source]);
+  if (!fs.existsSync(file)) return {};
+  return Object.fromEntries(JSON.parse(fs.readFileSync(file, 'utf8')).map(r => [r.propertyId, r]));
+}
+
+/**
+ * The properties a run of `source` should fetch, in properties.json order
+ */
+function selectProperties(properties, previous, selection = {}, now = Date.now()) {
+  return properties.filter(p => {
+    if (selection.propertyIds && !selection.propertyIds.includes(p.id)) return false;
+    const last = previous[p.id];
+    const failed = !last || !!last.error;
+    if (selection.failedOnly && !failed) return false;
+    if (selection.staleDays != null && !failed) {
+      const fetchedAt = Date.parse(last.fetchedAt);
+      if (!Number.isNaN(fetchedAt) && now - fetchedAt <= selection.staleDays * DAY_MS) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * One-line description for logs, e.g. "properties 3, 7 · stale > 14 days"
+ */
+function describeSelection(selection) {
+  const parts = [];
+  if (selection.source) parts.push(`${selection.source} only`);
+  if (selection.propertyIds) parts.push(`propert${selection.propertyIds.length === 1 ? 'y' : 'ies'} ${selection.propertyIds.join(', ')}`);
+  if (selection.staleDays != null) parts.push(`stale > ${selection.staleDays} days or failed`);
+  if (selection.failedOnly) parts.push('failed only');
+  return parts.join(' · ') || 'everything';
+}
+
+export { SOURCES, normaliseSelection, selectionFromArgs, isSelective, previousResults, selectProperties, describeSelection };
@@ -2,19 +2,33 @@
  * fetch-tripadvisor.js
  * Fetches TripAdvisor Content API data for each property:
  *   - Overall rating, review count, subratings
- *   - All reviews from the last 3 years (paginated)
+ *   - All reviews from the last 3 years (paginated, stopping at the first review
+ *     already in the local archive — see review-store.js)
  *   - Up to 30 photos (split into traveler vs official)
+ *   - Rating, review count + subratings for each comp-set hotel
+ *
+ * The hotel is looked up by its pinned tripadvisorLocationId when
+ * properties.json has one; otherwise search results are scored by name and
+ * address, then by distance from the Google match once the details (with
+ * coordinates) are in — see match.js. Low-confidence matches are marked
+ * needsReview instead of being fetched.
  *
  * API: TripAdvisor Content API (free tier: 5,000 calls/month)
  * Signup: https://www.tripadvisor.com/developers
  * Docs: https://tripadvisor-content-api.readme.io/
  */
 
-import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import { loadReviewStore, hasReview, addReviews, propertyReviews } from './review-store.js';
+import { pickBestMatch, scoreCandidate, minConfidence } from './match.js';
+import { getPortfolio, portfolioFromArgs, dataFile } from './portfolios.js';
+import { loadProperties } from './properties.js';
+import { BudgetExceededError } from './usage.js';
+import { tripadvisor as taApi, CircuitOpenError } from './providers.js';
+import { selectionFromArgs, selectProperties, describeSelection, isSelective } from './fetch-options.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
@@ -30,25 +44,39 @@ if (fs.existsSync(envPath)) {
 }
 
 let API_KEY; // Set inside main() so this module is safe to import
-const BASE_URL = 'https://api.content.tripadvisor.com/api/v1';
-const DELAY_MS = 500;
-
-const dataDir = path.join(ROOT, 'data');
-if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+let reviewStore; // Loaded inside main()
+let googleCoords = {}; // propertyId → { lat, lng } from the portfolio's google.json, loaded inside main()
 
-const sleep = ms => new Promise(r => setTimeout(r, ms));
+const reviewCutoff = () => {
+  const cutoff = new Date();
+  cutoff.setFullYear(cutoff.getFullYear() - 3);
+  return cutoff;
+};
 
-let taAxios; // Initialized inside main() once API_KEY is known
+/**
+ * Coordinates we already trust for a property: properties.json, else its Google match
+ */
+function knownCoords(property) {
+  if (typeof property.lat === 'number' && typeof property.lng === 'number') return { lat: property.lat, lng: property.lng };
+  return googleCoords[property.id] || null;
+}
 
 /**
- * Step 1: Search for location ID
+ * Step 1: Resolve the location ID — pinned, or the best-scoring search result
  */
 async function searchLocation(property) {
-  const response = await taAxios.get('/location/search', {
+  if (property.tripadvisorLocationId) {
+    return { locationId: String(property.tripadvisorLocationId), match: { method: 'pinned', confidence: 1 } };
+  }
+  if (!property.tripadvisorQuery) throw new Error('No tripadvisorLocationId or tripadvisorQuery configured');
+
+  const known = knownCoords(property);
+  const response = await taApi.get('/location/search', {
     params: {
       searchQuery: property.tripadvisorQuery,
       category: 'hotels',
       language: 'en',
+      ...(known ? { latLong: `${known.lat},${known.lng}` } : {}),
     }
   });
 
@@ -57,14 +85,50 @@ async function searchLocation(property) {
     throw new Error(`No TripAdvisor results for "${property.tripadvisorQuery}"`);
   }
 
-  return data[0]; // Most relevant result
+  // Search results carry no coordinates — distance is checked after the details call
+  const candidates = data.slice(0, 5).map(l => ({
+    id: String(l.location_id),
+    name: l.name,
+    address: l.address_obj?.address_string,
+  }));
+  const { best, ...match } = pickBestMatch(property, candidates);
+  return { locationId: best.id, match: { method: 'search', ...match } };
+}
+
+/**
+ * Re-score a searched match with the coordinates from its details
+ */
+function confirmMatch(property, match, details) {
+  const known = knownCoords(property);
+  const lat = parseFloat(details.latitude);
+  const lng = parseFloat(details.longitude);
+  if (match.method === 'pinned' || !known || Number.isNaN(lat) || Number.isNaN(lng)) return match;
+  const { confidence, breakdown } = scoreCandidate(property, {
+    name: details.name, address: details.address_obj?.address_string, lat, lng,
+  }, known);
+  return { ...match, confidence, breakdown, needsReview: confidence < minConfidence() };
+}
+
+function needsReviewResult(property, match) {
+  const best = match.candidates[0];
+  console.log(chalk.yellow(`    ⚠ Needs review: best match "${best.name}" (confidence ${match.confidence}) — pin tripadvisorLocationId to fix`));
+  return {
+    propertyId: property.id,
+    source: 'tripadvisor',
+    fetchedAt: new Date().toISOString(),
+    error: `Needs review: best match "${best.name}" scored ${match.confidence}`,
+    needsReview: true,
+    match,
+    reviews: [],
+    photos: [],
+  };
 }
 
 /**
  * Step 2: Get location details (rating, subratings, etc.)
  */
 async function getLocationDetails(locationId) {
-  const response = await taAxios.get(`/location/${locationId}/details`, {
+  const response = await taApi.get(`/location/${locationId}/details`, {
     params: {
       language: 'en',
       currency: 'USD',
@@ -74,11 +138,11 @@ async function getLocationDetails(locationId) {
 }
 
 /**
- * Step 3: Get reviews (paginated, last 3 years)
+ * Step 3: Get new reviews (paginated, last 3 years). Reviews come newest
+ * first, so the first one already archived means everything after it is too.
  */
 async function getLocationReviews(locationId) {
-  const cutoff = new Date();
-  cutoff.setFullYear(cutoff.getFullYear() - 3);
+  const cutoff = reviewCutoff();
 
   const allReviews = [];
   let offset = 0;
@@ -86,7 +150,7 @@ async function getLocationReviews(locationId) {
 
   while (true) {
     page++;
-    const response = await taAxios.get(`/location/${locationId}/reviews`, {
+    const response = await taApi.get(`/location/${locationId}/reviews`, {
       params: {
         language: 'en',
         limit: 5,
@@ -100,6 +164,10 @@ async function getLocationReviews(locationId) {
     let hitOldReview = false;
     for (const review of reviews) {
       const pubDate = new Date(review.published_date);
+      if (hasReview(reviewStore, 'tripadvisor', review)) {
+        hitOldReview = true;
+        break;
+      }
       if (pubDate >= cutoff) {
         allReviews.push(review);
       } else {
@@ -111,10 +179,9 @@ async function getLocationReviews(locationId) {
     if (hitOldReview) break;
 
     offset += reviews.length;
-    await sleep(DELAY_MS);
   }
 
-  console.log(chalk.gray(`      → ${allReviews.length} reviews across ${page} page(s)`));
+  console.log(chalk.gray(`      → ${allReviews.length} new review(s) across ${page} page(s)`));
   return allReviews;
 }
 
@@ -122,7 +189,7 @@ async function getLocationReviews(locationId) {
  * Step 4: Get photos
  */
 async function getLocationPhotos(locationId) {
-  const response = await taAxios.get(`/location/${locationId}/photos`, {
+  const response = await taApi.get(`/location/${locationId}/photos`, {
     params: {
       language: 'en',
       limit: 30,
@@ -131,33 +198,69 @@ async function getLocationPhotos(locationId) {
   return response.data?.data || [];
 }
 
+function parseSubratings(details) {
+  return details.subratings ? Object.fromEntries(
+    Object.entries(details.subratings).map(([k, v]) => [k, {
+      name: v.localized_name,
+      value: parseFloat(v.value),
+    }])
+  ) : {};
+}
+
+/**
+ * Details-only fetch for one comp-set hotel (1 call, no reviews/photos)
+ */
+async function fetchCompetitor(comp) {
+  try {
+    const details = await getLocationDetails(comp.tripadvisorLocationId);
+    return {
+      locationId: String(comp.tripadvisorLocationId),
+      name: details.name || comp.name,
+      tripadvisorUrl: details.web_url,
+      rating: parseFloat(details.rating) || null,
+      numReviews: details.num_reviews ? parseInt(details.num_reviews) : null,
+      rankingString: details.ranking_data?.ranking_string,
+      subratings: parseSubratings(details),
+    };
+  } catch (err) {
+    if (err instanceof BudgetExceededError || err instanceof CircuitOpenError) throw err;
+    console.error(chalk.red(`      ✗ Comp ${comp.name}: ${err.message}`));
+    return { locationId: String(comp.tripadvisorLocationId), name: comp.name, error: err.message };
+  }
+}
+
+async function fetchCompSet(property) {
+  const comps = (property.compSet || []).filter(c => c.tripadvisorLocationId);
+  const results = [];
+  for (const comp of comps) {
+    results.push(await fetchCompetitor(comp));
+  }
+  if (comps.length) console.log(chalk.gray(`      → ${comps.length} comp-set hotel(s)`));
+  return results;
+}
+
 /**
  * Process a single property
  */
-async function fetchProperty(property) {
-  console.log(chalk.cyan(`  [${property.id}/18] ${property.name}...`));
+async function fetchProperty(property, position) {
+  console.log(chalk.cyan(`  [${position}] ${property.name}...`));
 
   try {
     // Search for location
     const location = await searchLocation(property);
-    const locationId = location.location_id;
-    await sleep(DELAY_MS);
+    const locationId = location.locationId;
+    if (location.match.needsReview) return needsReviewResult(property, location.match);
 
-    // Get details, reviews, photos in parallel (with small stagger)
+    // Get details, reviews, photos — providers.js paces the calls
     const details = await getLocationDetails(locationId);
-    await sleep(DELAY_MS);
+    const match = confirmMatch(property, location.match, details);
+    if (match.needsReview) return needsReviewResult(property, match);
     const reviews = await getLocationReviews(locationId);
-    await sleep(DELAY_MS);
     const photos = await getLocationPhotos(locationId);
-    await sleep(DELAY_MS);
+    const compSet = await fetchCompSet(property);
 
     // Parse subratings
-    const subratings = details.subratings ? Object.fromEntries(
-      Object.entries(details.subratings).map(([k, v]) => [k, {
-        name: v.localized_name,
-        value: parseFloat(v.value),
-      }])
-    ) : {};
+    const subratings = parseSubratings(details);
 
     // Parse reviews
     const parsedReviews = reviews.map(r => ({
@@ -177,6 +280,13 @@ async function fetchProperty(property) {
       url: r.url,
     }));
 
+    // Archive the new reviews and report the full 3-year window from the archive
+    const archiveKey = { source: 'tripadvisor', propertyId: property.id, sourceId: locationId };
+    const newReviews = addReviews(reviewStore, archiveKey, parsedReviews);
+    const cutoff = reviewCutoff();
+    const archivedReviews = propertyReviews(reviewStore, archiveKey)
+      .filter(r => new Date(r.publishedDate) >= cutoff);
+
     // Parse photos
     const parsedPhotos = photos.map(p => ({
       id: p.id,
@@ -202,6 +312,9 @@ async function fetchProperty(property) {
       tripadvisorUrl: details.web_url,
       name: details.name,
       address: details.address_obj?.address_string,
+      lat: parseFloat(details.latitude) || null,
+      lng: parseFloat(details.longitude) || null,
+      match,
       rating: parseFloat(details.rating) || null,
       numReviews: details.num_reviews,
       rankingString: details.ranking_data?.ranking_string,
@@ -211,19 +324,18 @@ async function fetchProperty(property) {
       numRooms: details.num_rooms || null,
       subratings,
       awardedBadges: details.awards?.map(a => a.display_name) || [],
-      reviews: parsedReviews,
+      reviews: archivedReviews,
+      newReviews,
       photos: parsedPhotos,
+      compSet,
     };
 
   } catch (err) {
+    // Out of budget or the API is down: stop the run and keep the previous
+    // results rather than overwriting them with error entries
+    if (err instanceof BudgetExceededError || err instanceof CircuitOpenError) throw err;
     console.error(chalk.red(`    ✗ Failed: ${err.message}`));
 
-    // Check for rate limit
-    if (err.response?.status === 429) {
-      console.log(chalk.yellow('    ⏳ Rate limited — waiting 10 seconds...'));
-      await sleep(10000);
-    }
-
     return {
       propertyId: property.id,
       source: 'tripadvisor',
@@ -236,29 +348,34 @@ async function fetchProperty(property) {
 }
 
 /**
- * Run all properties and save results
+ * Run the properties of one portfolio and save results to its tripadvisor.json —
+ * all of them, or those picked by `selection` (fetch-options.js); results for
+ * the others are kept as they are.
+ * `job` is the jobs.js context when run as a server refresh job — progress
+ * is reported per property and a cancel takes effect between properties.
  */
-async function main() {
+async function main(pf = getPortfolio(), job = null, selection = {}) {
   API_KEY = process.env.TRIPADVISOR_API_KEY;
   if (!API_KEY || API_KEY === 'your_tripadvisor_api_key_here') {
     throw new Error('Missing TRIPADVISOR_API_KEY in environment');
   }
 
-  taAxios = axios.create({
-    baseURL: BASE_URL,
-    headers: { accept: 'application/json' },
-    params: { key: API_KEY },
-  });
+  const allProperties = loadProperties(pf);
+  reviewStore = loadReviewStore(pf);
+  fs.mkdirSync(pf.dataDir, { recursive: true });
 
-  const properties = JSON.parse(
-    fs.readFileSync(path.join(ROOT, 'properties.json'), 'utf8')
-  );
+  const googlePath = dataFile(pf, 'google.json');
+  googleCoords = {};
+  if (fs.existsSync(googlePath)) {
+    for (const g of JSON.parse(fs.readFileSync(googlePath, 'utf8'))) {
+      if (!g.error && typeof g.lat === 'number' && typeof g.lng === 'number') googleCoords[g.propertyId] = { lat: g.lat, lng: g.lng };
+    }
+  }
 
-  console.log(chalk.bold.yellow('\n🦅  TripAdvisor Content API Fetcher'));
-  console.log(chalk.gray(`  Fetching ${properties.length} properties...\n`));
+  console.log(chalk.bold.yellow(`\n🦅  TripAdvisor Content API Fetcher — ${pf.name}`));
 
   const results = {};
-  const outputPath = path.join(dataDir, 'tripadvisor.json');
+  const outputPath = dataFile(pf, 'tripadvisor.json');
 
   // Load existing so we can resume
   if (fs.existsSync(outputPath)) {
@@ -266,27 +383,36 @@ async function main() {
     existing.forEach(p => { results[p.propertyId] = p; });
   }
 
-  for (const property of properties) {
-    const data = await fetchProperty(property);
+  const properties = selectProperties(allProperties, results, selection);
+  const unknown = (selection.propertyIds || []).filter(id => !allProperties.some(p => p.id === id));
+  if (unknown.length) console.log(chalk.yellow(`  ⚠  No property with id ${unknown.join(', ')} in ${pf.name}`));
+  const scope = isSelective(selection) ? ` of ${allProperties.length} — ${describeSelection(selection)}` : '';
+  console.log(chalk.gray(`  Fetching ${properties.length} properties${scope}...\n`));
+
+  for (const [i, property] of properties.entries()) {
+    job?.throwIfCancelled();
+    const data = await fetchProperty(property, `${i + 1}/${properties.length}`);
     results[property.id] = data;
+    job?.advance(`TripAdvisor ${i + 1}/${properties.length} — ${property.name}`);
+    if (data.error) job?.log(`TripAdvisor: ${property.name} — ${data.error}`, 'warn');
 
     // Save incrementally
     fs.writeFileSync(outputPath, JSON.stringify(Object.values(results), null, 2));
   }
 
-  const successCount = Object.values(results).filter(r => !r.error).length;
-  const failCount = Object.values(results).filter(r => r.error).length;
+  const successCount = allProperties.filter(p => results[p.id] && !results[p.id].error).length;
+  const failCount = allProperties.filter(p => results[p.id]?.error).length;
 
   console.log(chalk.bold.yellow(`\n✅ TripAdvisor fetch complete`));
-  console.log(chalk.yellow(`   Success: ${successCount}/${properties.length}`));
+  console.log(chalk.yellow(`   Success: ${successCount}/${allProperties.length}`));
   if (failCount > 0) console.log(chalk.yellow(`   Failures: ${failCount}`));
-  console.log(chalk.gray(`   Saved to data/tripadvisor.json\n`));
+  console.log(chalk.gray(`   Saved to ${path.relative(ROOT, outputPath)}\n`));
 }
 
 export { main };
 
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  main().catch(err => {
+  Promise.resolve().then(() => main(portfolioFromArgs() || getPortfolio(), null, selectionFromArgs())).catch(err => {
     console.error(chalk.red('Fatal error:'), err);
     process.exit(1);
   });
@@ -0,0 +1,269 @@
+/**
+ * folder-import.js
+ * Bulk-add hotels to a saved folder from a CSV — the comp lists brokers send.
+ *
+ * Two steps, each a background job (scripts/jobs.js) so the dashboard can
+ * show progress:
+ *   1. resolveImport() — every row is matched to a Google place and a
+ *      TripAdvisor location with the same scoring the fetchers use
+ *      (scripts/match.js). The result lists, per row, the best match, its
+ *      confidence and the top candidates, and a status:
+ *        matched    — confident on Google (and TripAdvisor, if found)
+ *        review     — a match scored under MATCH_MIN_CONFIDENCE; pick one
+ *        unmatched  — Google found nothing
+ *        duplicate  — already in the folder, or earlier in the same file
+ *        error      — the lookup failed
+ *   2. importHotels() — saves the hotels the user confirmed, one at a time
+ *      (the provider clients rate-limit each call), skipping any that were
+ *      saved in the meantime.
+ *
+ * CSV columns (header row required, any order, case-insensitive):
+ *   name (or hotel / hotel name / property)   — required unless placeId is given
+ *   address (or street) + optional city / state / zip — joined into one address
+ *   brand                                      — optional; a match must contain it
+ *   placeId (or google place id / place_id)    — pins the Google match
+ *   taLocationId (or tripadvisor id / location_id) — pins the TripAdvisor match
+ */
+
+import { google as googleApi, tripadvisor as taApi, CircuitOpenError } from './providers.js';
+import { BudgetExceededError } from './usage.js';
+import { pickBestMatch } from './match.js';
+import { hasHotel } from './folder-store.js';
+
+const MAX_ROWS = 200;
+
+const COLUMNS = {
+  name: ['name', 'hotel', 'hotel name', 'hotel_name', 'property', 'property name'],
+  address: ['address', 'street', 'street address', 'address1', 'address 1'],
+  city: ['city', 'town'],
+  state: ['state', 'province', 'region'],
+  zip: ['zip', 'zip code', 'postcode', 'postal code'],
+  brand: ['brand', 'flag'],
+  placeId: ['placeid', 'place_id', 'place id', 'google place id', 'google_place_id', 'googleplaceid'],
+  taLocationId: ['talocationid', 'ta_location_id', 'ta location id', 'location_id', 'locationid', 'tripadvisor id', 'tripadvisorlocationid', 'tripadvisor location id'],
+};
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = 400;
+  }
+}
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+
+/**
+ * RFC 4180 CSV → array of rows (arrays of strings), blank lines included.
+ * Handles quoted fields with commas, doubled quotes and line breaks, CRLF,
+ * and a UTF-8 BOM.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * The import rows in a CSV file: { row, name, address, brand, placeId, taLocationId }.
+ * `row` is the spreadsheet row number (the header is row 1); blank rows are skipped.
+ * Throws ImportError for a file that can't be imported at all.
+ */
+function parseImportCsv(text) {
+  const [header, ...rest] = parseCsv(text);
+  if (!header?.some(cell => cell.trim())) throw new ImportError('The CSV is empty');
+  const lines = rest.map((line, i) => ({ line, row: i + 2 })).filter(({ line }) => line.some(cell => cell.trim()));
+  const keys = header.map(h => h.trim().toLowerCase().replace(/\s+/g, ' '));
+  const column = Object.fromEntries(Object.entries(COLUMNS).map(([field, names]) => [field, keys.findIndex(k => names.includes(k))]));
+  if (column.name === -1 && column.placeId === -1) {
+    throw new ImportError(`No hotel name column — expected a header row with one of: ${COLUMNS.name.join(', ')}`);
+  }
+  if (!lines.length) throw new ImportError('The CSV has a header row but no hotels');
+  if (lines.length > MAX_ROWS) throw new ImportError(`Too many rows (${lines.length}) — import at most ${MAX_ROWS} hotels at a time`);
+
+  const cell = (line, field) => (column[field] === -1 ? '' : (line[column[field]] || '').replace(/\s+/g, ' ').trim());
+  return lines.map(({ line, row }) => {
+    const street = cell(line, 'address');
+    const locality = [cell(line, 'city'), [cell(line, 'state'), cell(line, 'zip')].filter(Boolean).join(' ')].filter(Boolean);
+    return {
+      row,
+      name: cell(line, 'name'),
+      address: [street, ...locality].filter(Boolean).join(', '),
+      brand: cell(line, 'brand') || null,
+      placeId: cell(line, 'placeId') || null,
+      taLocationId: cell(line, 'taLocationId') || null,
+    };
+  });
+}
+
+// ─── Matching ────────────────────────────────────────────────────────────────
+
+// Out of budget or a provider that's down won't get better on the next row
+const isFatal = err => err instanceof BudgetExceededError || err instanceof CircuitOpenError;
+
+async function resolveGoogle(row) {
+  if (row.placeId) return { method: 'pinned', placeId: row.placeId, name: row.name || null, address: row.address || null, confidence: 1, needsReview: false, candidates: [] };
+  const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+  if (!apiKey) throw new Error('Google API key not configured');
+  const r = await googleApi.get('https://maps.googleapis.com/maps/api/place/textsearch/json', {
+    params: { query: [row.name, row.address].filter(Boolean).join(' '), type: 'lodging', key: apiKey },
+  });
+  const candidates = (r.data.results || []).slice(0, 5).map(x => ({
+    id: x.place_id, name: x.name, address: x.formatted_address,
+    lat: x.geometry?.location?.lat, lng: x.geometry?.location?.lng,
+    rating: x.rating, totalRatings: x.user_ratings_total,
+  }));
+  const match = pickBestMatch(row, candidates);
+  if (!match) return null;
+  const { best, ...rest } = match;
+  return {
+    method: 'search', placeId: best.id, name: best.name, address: best.address,
+    lat: best.lat ?? null, lng: best.lng ?? null, rating: best.rating ?? null, totalRatings: best.totalRatings ?? null,
+    ...rest,
+  };
+}
+
+async function resolveTripadvisor(row, known) {
+  if (row.taLocationId) return { method: 'pinned', locationId: row.taLocationId, name: null, address: null, confidence: 1, needsReview: false, candidates: [] };
+  if (!row.name || !process.env.TRIPADVISOR_API_KEY) return null;
+  const r = await taApi.get('/location/search', {
+    params: {
+      searchQuery: row.name, category: 'hotels', language: 'en',
+      ...(typeof known?.lat === 'number' && typeof known?.lng === 'number' ? { latLong: `${known.lat},${known.lng}` } : {}),
+    },
+  });
+  const candidates = (r.data?.data || []).slice(0, 5).map(l => ({
+    id: String(l.location_id), name: l.name, address: l.address_obj?.address_string,
+  }));
+  const match = pickBestMatch(row, candidates);
+  if (!match) return null;
+  const { best, ...rest } = match;
+  return { method: 'search', locationId: best.id, name: best.name, address: best.address || null, ...rest };
+}
+
+function rowStatus(google, tripadvisor) {
+  if (!google) return 'unmatched';
+  return google.needsReview || tripadvisor?.needsReview ? 'review' : 'matched';
+}
+
+/**
+ * Match every row (step 1). `ctx` is the job context.
+ */
+async function resolveImport(folderId, rows, ctx) {
+  ctx.setTotal(rows.length);
+  const seen = new Set();
+  const results = [];
+  for (const row of rows) {
+    ctx.throwIfCancelled();
+    const label = row.name || row.placeId;
+    const input = { name: row.name, address: row.address, brand: row.brand, placeId: row.placeId, taLocationId: row.taLocationId };
+    let result;
+    if (!row.name && !row.placeId) {
+      result = { row: row.row, input, status: 'error', error: 'No hotel name', google: null, tripadvisor: null };
+    } else {
+      try {
+        const google = await resolveGoogle(row);
+        const tripadvisor = google ? await resolveTripadvisor(row, google).catch(err => {
+          if (isFatal(err)) throw err;
+          ctx.log(`Row ${row.row}: TripAdvisor lookup failed — ${err.message}`, 'warn');
+          return null;
+        }) : null;
+        const duplicate = google && (seen.has(google.placeId) || hasHotel(folderId, google.placeId));
+        result = { row: row.row, input, status: duplicate ? 'duplicate' : rowStatus(google, tripadvisor), google, tripadvisor };
+        if (google) seen.add(google.placeId);
+      } catch (err) {
+        if (isFatal(err)) throw err;
+        result = { row: row.row, input, status: 'error', error: err.message, google: null, tripadvisor: null };
+      }
+    }
+    if (result.status !== 'matched') ctx.log(`Row ${row.row} (${label}): ${result.status}${result.error ? ` — ${result.error}` : ''}`, result.status === 'error' ? 'warn' : 'info');
+    results.push(result);
+    ctx.advance(label);
+  }
+  const summary = Object.fromEntries(['matched', 'review', 'unmatched', 'duplicate', 'error'].map(s => [s, results.filter(r => r.status === s).length]));
+  return { folderId, rows: results, summary };
+}
+
+// ─── Saving ──────────────────────────────────────────────────────────────────
+
+/**
+ * The hotels the user confirmed, checked: [{ placeId, taLocationId?, name?, address? }]
+ */
+function validateSelections(hotels) {
+  if (!Array.isArray(hotels) || !hotels.length) throw new ImportError('hotels must be a non-empty array');
+  if (hotels.length > MAX_ROWS) throw new ImportError(`Import at most ${MAX_ROWS} hotels at a time`);
+  const seen = new Set();
+  return hotels.map((h, i) => {
+    const placeId = typeof h?.placeId === 'string' ? h.placeId.trim() : '';
+    if (!placeId) throw new ImportError(`hotels[${i}]: placeId required`);
+    if (seen.has(placeId)) throw new ImportError(`hotels[${i}]: ${placeId} is listed twice`);
+    seen.add(placeId);
+    return {
+      placeId,
+      taLocationId: h.taLocationId ? String(h.taLocationId).trim() : null,
+      name: typeof h.name === 'string' ? h.name : undefined,
+      address: typeof h.address === 'string' ? h.address : undefined,
+    };
+  });
+}
+
+/**
+ * Save the confirmed hotels (step 2). `saveHotel(folderId, hotel)` is the
+ * server's single-hotel save — fetch, cache photos, write.
+ */
+async function importHotels(folderId, hotels, saveHotel, ctx) {
+  ctx.setTotal(hotels.length);
+  const saved = [];
+  const skipped = [];
+  const failed = [];
+  for (const hotel of hotels) {
+    ctx.throwIfCancelled();
+    const label = hotel.name || hotel.placeId;
+    if (hasHotel(folderId, hotel.placeId)) {
+      skipped.push({ placeId: hotel.placeId, name: hotel.name ?? null });
+      ctx.log(`${label}: already in the folder`);
+    } else {
+      try {
+        const slim = await saveHotel(folderId, hotel);
+        saved.push({ placeId: slim.placeId, name: slim.name });
+      } catch (err) {
+        if (isFatal(err)) throw err;
+        if (err.status === 409) skipped.push({ placeId: hotel.placeId, name: hotel.name ?? null });
+        else failed.push({ placeId: hotel.placeId, name: hotel.name ?? null, error: err.message });
+        ctx.log(`${label}: ${err.message}`, err.status === 409 ? 'info' : 'warn');
+      }
+    }
+    ctx.advance(label);
+  }
+  return { folderId, saved, skipped, failed };
+}
+
+export { MAX_ROWS, ImportError, parseCsv, parseImportCsv, resolveImport, validateSelections, importHotels };
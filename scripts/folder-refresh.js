@@ -0,0 +1,178 @@
+/**
+ * folder-refresh.js
+ * Re-fetches saved folder hotels in bulk — Google details, TripAdvisor
+ * details and the SerpAPI room count, the same as the per-hotel ↻ Refresh —
+ * a few hotels at a time (FOLDER_REFRESH_CONCURRENCY, default 3; the
+ * provider clients still rate-limit every call).
+ *
+ * What gets refreshed:
+ *   { folderId }            every hotel in one folder
+ *   { staleDays }           hotels in any folder last fetched more than N days ago
+ *   { folderId, staleDays } the stale hotels of one folder
+ *
+ * The result reports each hotel: ok (with any TripAdvisor warning) or the
+ * error. Running out of budget or a provider's circuit opening stops the run;
+ * the hotels not reached are reported as skipped.
+ *
+ * The server runs this as a background job (POST /api/folders/:id/refresh,
+ * POST /api/folders/refresh) and, with FOLDER_REFRESH_MAX_AGE_DAYS set, on a
+ * schedule. From the command line:
+ *   npm run refresh:folders                          (every hotel)
+ *   npm run refresh:folders -- --folder <id>         (one folder)
+ *   npm run refresh:folders -- --stale 7             (last fetched 7+ days ago)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { fetchHotelDetails, fetchTAHotelDetails, lookupRoomsViaSerpApi } from './hotel-lookup.js';
+import { cacheHotelPhotos } from './photo-cache.js';
+import { listFolders, getFolder, getHotel, updateHotel } from './folder-store.js';
+import { BudgetExceededError } from './usage.js';
+import { CircuitOpenError } from './providers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Load env
+const envPath = path.join(ROOT, '.env');
+if (fs.existsSync(envPath)) {
+  const envContent = fs.readFileSync(envPath, 'utf8');
+  envContent.split('\n').forEach(line => {
+    const [key, ...val] = line.split('=');
+    if (key && !key.startsWith('#') && !process.env[key.trim()]) process.env[key.trim()] = val.join('=').trim();
+  });
+}
+
+function concurrency() {
+  const n = parseInt(process.env.FOLDER_REFRESH_CONCURRENCY || '3', 10);
+  return Number.isFinite(n) && n > 0 ? n : 3;
+}
+
+/**
+ * Re-fetch one saved hotel and write it back. The APIs are called outside
+ * the transaction; only the write is atomic. A TripAdvisor failure keeps the
+ * previous TripAdvisor data and comes back as `warning`.
+ */
+async function refreshFolderHotel(folderId, placeId, user = null) {
+  const current = getHotel(folderId, placeId);
+  if (!current) return null;
+  const taLocationId = current.cachedData?.tripadvisor?.locationId;
+  let warning = null;
+  const [full, taFull, serpRooms] = await Promise.all([
+    fetchHotelDetails(placeId),
+    taLocationId ? fetchTAHotelDetails(taLocationId).catch(err => {
+      if (err instanceof BudgetExceededError || err instanceof CircuitOpenError) throw err;
+      warning = `TripAdvisor: ${err.message}`;
+      return null;
+    }) : Promise.resolve(null),
+    taLocationId ? lookupRoomsViaSerpApi(taLocationId).catch(() => null) : Promise.resolve(null),
+  ]);
+  const cachedData = { googleMapsUrl: full.googleMapsUrl, website: full.website, phone: full.phone, priceLevel: full.priceLevel, reviews: full.reviews, photos: full.photos, tripadvisor: taFull };
+  await cacheHotelPhotos(cachedData, placeId);
+  const hotel = updateHotel(folderId, placeId, h => {
+    h.rating = full.rating;
+    h.totalRatings = full.totalRatings;
+    h.lat = full.lat;
+    h.lng = full.lng;
+    if (serpRooms) h.numRooms = serpRooms;
+    h.lastFetched = new Date().toISOString();
+    h.cachedData = { ...cachedData, tripadvisor: taFull || h.cachedData?.tripadvisor };
+  }, user);
+  return { lastFetched: hotel.lastFetched, numRooms: hotel.numRooms ?? null, warning };
+}
+
+const isStale = (hotel, staleDays, now) => {
+  const fetched = Date.parse(hotel.lastFetched || '');
+  return Number.isNaN(fetched) || now - fetched > staleDays * DAY_MS;
+};
+
+/**
+ * The hotels a refresh would cover: [{ folderId, folderName, placeId, name, lastFetched }]
+ */
+function selectHotels({ folderId = null, staleDays = null } = {}, now = Date.now()) {
+  return listFolders()
+    .filter(f => !folderId || f.id === folderId)
+    .flatMap(f => f.hotels.map(h => ({ folderId: f.id, folderName: f.name, placeId: h.placeId, name: h.name, lastFetched: h.lastFetched || null })))
+    .filter(h => staleDays == null || isStale(h, staleDays, now));
+}
+
+/**
+ * Refresh the selected hotels. `job` is the jobs.js context (optional).
+ * Returns { refreshed, failed, skipped, hotels: [{ folderId, placeId, name, status, error?, warning? }] }.
+ */
+async function refreshFolders(selection = {}, job = null, user = null) {
+  if (selection.folderId && !getFolder(selection.folderId)) throw new Error(`No folder "${selection.folderId}"`);
+  const hotels = selectHotels(selection);
+  job?.setTotal(hotels.length);
+  const limit = concurrency();
+  console.log(chalk.bold(`\nRefreshing ${hotels.length} saved hotel${hotels.length !== 1 ? 's' : ''} (${limit} at a time)...`));
+
+  const results = new Array(hotels.length);
+  let stopped = null;
+  let next = 0;
+  const worker = async () => {
+    while (next < hotels.length) {
+      const i = next++;
+      const h = hotels[i];
+      const base = { folderId: h.folderId, placeId: h.placeId, name: h.name };
+      if (stopped) {
+        results[i] = { ...base, status: 'skipped', error: stopped.message };
+        continue;
+      }
+      try {
+        job?.throwIfCancelled();
+        const r = await refreshFolderHotel(h.folderId, h.placeId, user);
+        results[i] = r
+          ? { ...base, status: 'ok', lastFetched: r.lastFetched, ...(r.warning ? { warning: r.warning } : {}) }
+          : { ...base, status: 'skipped', error: 'Removed from the folder meanwhile' };
+        console.log(chalk.green(`  ✓ ${h.name}`) + (r?.warning ? chalk.yellow(` (${r.warning})`) : ''));
+        if (r?.warning) job?.log(`${h.name}: ${r.warning}`, 'warn');
+      } catch (err) {
+        if (err instanceof BudgetExceededError || err instanceof CircuitOpenError) stopped ||= err;
+        if (err.name === 'JobCancelledError') stopped ||= err;
+        results[i] = { ...base, status: err.name === 'JobCancelledError' ? 'skipped' : 'failed', error: err.message };
+        console.log(chalk.red(`  ✗ ${h.name}: ${err.message}`));
+        job?.log(`${h.name}: ${err.message}`, 'warn');
+      }
+      job?.advance(h.name);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, hotels.length) }, worker));
+
+  const count = status => results.filter(r => r.status === status).length;
+  const summary = { refreshed: count('ok'), failed: count('failed'), skipped: count('skipped'), hotels: results };
+  console.log(chalk.bold(`Done: ${summary.refreshed} refreshed, ${summary.failed} failed, ${summary.skipped} skipped`));
+  if (stopped) {
+    job?.log(`Stopped early: ${stopped.message}`, 'warn');
+    // A cancel still ends the job as cancelled
+    if (stopped.name === 'JobCancelledError') throw stopped;
+  }
+  return summary;
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+async function main(argv = process.argv) {
+  const arg = name => {
+    const i = argv.indexOf(name);
+    return i !== -1 ? argv[i + 1] : undefined;
+  };
+  const staleDays = arg('--stale') != null ? parseFloat(arg('--stale')) : null;
+  if (staleDays != null && !(staleDays >= 0)) throw new Error('--stale takes a number of days');
+  const summary = await refreshFolders({ folderId: arg('--folder') || null, staleDays });
+  // Partial failures are normal (a hotel closed, a flaky call); only a run
+  // where nothing could be refreshed fails the command
+  if (summary.failed && !summary.refreshed) process.exitCode = 1;
+}
+
+export { refreshFolderHotel, selectHotels, refreshFolders, main };
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(chalk.red('Error:'), err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,481 @@
+/**
+ * folder-store.js
+ * Saved folders and their hotels, in a SQLite database (data/folders.db).
+ * Replaces saved-portfolios.json, which every request read and rewrote whole —
+ * cached reviews and photos included — so two saves at once could lose one.
+ *
+ * Tables:
+ *   folders      — id, name, description, created/updated at + by
+ *   hotels       — one row per saved hotel: the fields the folder list shows,
+ *                  including the analyst's notes, tags and status
+ *   hotel_data   — the hotel's cachedData blob (reviews, photos, TripAdvisor,
+ *                  review analysis), read only when one hotel is opened
+ * Schema changes go in MIGRATIONS; PRAGMA user_version records how far a
+ * database has got.
+ *
+ * Every write runs in a transaction, and read-modify-write goes through a
+ * mutator (updateHotel) so the read and the write can't interleave with
+ * another request. The database is opened in WAL mode, so `npm run photos` and
+ * `npm run tag:aspects` can work on it while the server runs.
+ *
+ * On first open an existing saved-portfolios.json is imported; the file is
+ * left in place but no longer read.
+ *
+ * Hotels can be moved or copied between folders with their cached data, so
+ * nothing is fetched again.
+ *
+ * Run: npm run folders -- <command>
+ *   import [file]   — add the folders in a saved-portfolios.json (default the
+ *                     one in the repo root); folders already present are skipped
+ *   export [file]   — write every folder, in the old JSON shape, to a file or stdout
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import chalk from 'chalk';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const DB_PATH = path.join(ROOT, 'data', 'folders.db');
+const LEGACY_PATH = path.join(ROOT, 'saved-portfolios.json');
+
+const MIGRATIONS = [
+  `CREATE TABLE folders (
+     id TEXT PRIMARY KEY,
+     name TEXT NOT NULL,
+     created_at TEXT NOT NULL,
+     created_by TEXT,
+     updated_at TEXT,
+     updated_by TEXT
+   );
+   CREATE TABLE hotels (
+     folder_id TEXT NOT NULL REFERENCES folders(id) ON DELETE CASCADE,
+     place_id TEXT NOT NULL,
+     name TEXT,
+     address TEXT,
+     rating REAL,
+     total_ratings INTEGER,
+     lat REAL,
+     lng REAL,
+     num_rooms INTEGER,
+     ta_rating REAL,
+     ta_num_reviews INTEGER,
+     saved_at TEXT,
+     last_fetched TEXT,
+     added_by TEXT,
+     PRIMARY KEY (folder_id, place_id)
+   );
+   CREATE TABLE hotel_data (
+     folder_id TEXT NOT NULL,
+     place_id TEXT NOT NULL,
+     cached_data TEXT,
+     PRIMARY KEY (folder_id, place_id),
+     FOREIGN KEY (folder_id, place_id) REFERENCES hotels(folder_id, place_id) ON DELETE CASCADE
+   );`,
+  // Folder descriptions; per-hotel notes, tags (a JSON array) and status
+  `ALTER TABLE folders ADD COLUMN description TEXT;
+   ALTER TABLE hotels ADD COLUMN notes TEXT;
+   ALTER TABLE hotels ADD COLUMN tags TEXT;
+   ALTER TABLE hotels ADD COLUMN status TEXT;`,
+];
+
+// Where a hotel stands for the team — null when nobody has set one
+const HOTEL_STATUSES = ['prospect', 'underwriting', 'under contract', 'owned', 'passed'];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * A folder or hotel that isn't there, a hotel saved twice or an invalid edit —
+ * `status` is the HTTP status the routes answer with
+ */
+class FolderStoreError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'FolderStoreError';
+    this.status = status;
+  }
+}
+
+// ─── Database ────────────────────────────────────────────────────────────────
+
+let db = null;
+
+function openDb() {
+  if (db) return db;
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  db = new Database(DB_PATH);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.pragma('busy_timeout = 5000');
+
+  const version = db.pragma('user_version', { simple: true });
+  const fresh = version === 0;
+  // The legacy import commits together with the schema — if it fails the
+  // database stays at version 0 and the import is retried on the next start
+  let imported = null;
+  try {
+    db.transaction(() => {
+      MIGRATIONS.slice(version).forEach(sql => db.exec(sql));
+      db.pragma(`user_version = ${MIGRATIONS.length}`);
+      if (fresh && fs.existsSync(LEGACY_PATH)) imported = importFile(LEGACY_PATH);
+    })();
+  } catch (err) {
+    db.close();
+    db = null;
+    throw err;
+  }
+
+  if (imported) {
+    console.log(chalk.green(`  Imported ${imported.folders} saved folders (${imported.hotels} hotels) from saved-portfolios.json into ${path.relative(ROOT, DB_PATH)}`));
+    console.log(chalk.gray('  saved-portfolios.json is no longer used — keep it as a backup or delete it'));
+  }
+  return db;
+}
+
+const transaction = fn => openDb().transaction(fn)();
+
+// ─── Rows ↔ objects ──────────────────────────────────────────────────────────
+
+const folderFromRow = r => ({
+  id: r.id, name: r.name, description: r.description ?? null, createdAt: r.created_at, createdBy: r.created_by,
+  updatedAt: r.updated_at, updatedBy: r.updated_by,
+});
+
+// The slim hotel the folder list shows — TripAdvisor rating and review count
+// are kept in columns so the list never parses cachedData
+const hotelFromRow = r => ({
+  placeId: r.place_id, name: r.name, address: r.address,
+  rating: r.rating, totalRatings: r.total_ratings,
+  numRooms: r.num_rooms,
+  taRating: r.ta_rating, taNumReviews: r.ta_num_reviews,
+  savedAt: r.saved_at, lastFetched: r.last_fetched, addedBy: r.added_by,
+  lat: r.lat, lng: r.lng,
+  notes: r.notes ?? null, tags: r.tags ? JSON.parse(r.tags) : [], status: r.status ?? null,
+});
+
+function fullHotel(row) {
+  const { taRating, taNumReviews, ...hotel } = hotelFromRow(row);
+  return { ...hotel, cachedData: row.cached_data ? JSON.parse(row.cached_data) : null };
+}
+
+function hotelParams(folderId, h) {
+  return {
+    folder_id: folderId, place_id: h.placeId, name: h.name ?? null, address: h.address ?? null,
+    rating: h.rating ?? null, total_ratings: h.totalRatings ?? null,
+    lat: h.lat ?? null, lng: h.lng ?? null, num_rooms: h.numRooms ?? null,
+    ta_rating: h.cachedData?.tripadvisor?.rating ?? null,
+    ta_num_reviews: h.cachedData?.tripadvisor?.numReviews ?? null,
+    saved_at: h.savedAt ?? null, last_fetched: h.lastFetched ?? null, added_by: h.addedBy ?? null,
+    notes: h.notes || null, tags: Array.isArray(h.tags) && h.tags.length ? JSON.stringify(h.tags) : null, status: h.status || null,
+  };
+}
+
+function writeHotel(folderId, hotel, { insert = false } = {}) {
+  const d = openDb();
+  const params = hotelParams(folderId, hotel);
+  if (insert) {
+    d.prepare(`INSERT INTO hotels (folder_id, place_id, name, address, rating, total_ratings, lat, lng, num_rooms,
+        ta_rating, ta_num_reviews, saved_at, last_fetched, added_by, notes, tags, status)
+      VALUES (@folder_id, @place_id, @name, @address, @rating, @total_ratings, @lat, @lng, @num_rooms,
+        @ta_rating, @ta_num_reviews, @saved_at, @last_fetched, @added_by, @notes, @tags, @status)`).run(params);
+  } else {
+    d.prepare(`UPDATE hotels SET name = @name, address = @address, rating = @rating, total_ratings = @total_ratings,
+        lat = @lat, lng = @lng, num_rooms = @num_rooms, ta_rating = @ta_rating, ta_num_reviews = @ta_num_reviews,
+        saved_at = @saved_at, last_fetched = @last_fetched, added_by = @added_by,
+        notes = @notes, tags = @tags, status = @status
+      WHERE folder_id = @folder_id AND place_id = @place_id`).run(params);
+  }
+  d.prepare(`INSERT INTO hotel_data (folder_id, place_id, cached_data) VALUES (?, ?, ?)
+    ON CONFLICT (folder_id, place_id) DO UPDATE SET cached_data = excluded.cached_data`)
+    .run(folderId, hotel.placeId, hotel.cachedData ? JSON.stringify(hotel.cachedData) : null);
+}
+
+function touchFolder(folderId, user) {
+  openDb().prepare('UPDATE folders SET updated_at = ?, updated_by = ? WHERE id = ?')
+    .run(new Date().toISOString(), user?.username ?? null, folderId);
+}
+
+function requireFolder(folderId) {
+  const row = openDb().prepare('SELECT * FROM folders WHERE id = ?').get(folderId);
+  if (!row) throw new FolderStoreError('Folder not found', 404);
+  return row;
+}
+
+function selectHotel(folderId, placeId) {
+  return openDb().prepare(`SELECT h.*, d.cached_data FROM hotels h
+    LEFT JOIN hotel_data d ON d.folder_id = h.folder_id AND d.place_id = h.place_id
+    WHERE h.folder_id = ? AND h.place_id = ?`).get(folderId, placeId);
+}
+
+// ─── Folders ─────────────────────────────────────────────────────────────────
+
+/**
+ * Every folder with its slim hotel list — no cachedData
+ */
+function listFolders() {
+  const d = openDb();
+  const folders = d.prepare('SELECT * FROM folders ORDER BY rowid').all().map(r => ({ ...folderFromRow(r), hotels: [] }));
+  const byId = new Map(folders.map(f => [f.id, f]));
+  for (const r of d.prepare('SELECT * FROM hotels ORDER BY rowid').all()) byId.get(r.folder_id)?.hotels.push(hotelFromRow(r));
+  return folders;
+}
+
+/**
+ * One folder without its hotels, or null
+ */
+function getFolder(folderId) {
+  const row = openDb().prepare('SELECT * FROM folders WHERE id = ?').get(folderId);
+  return row ? folderFromRow(row) : null;
+}
+
+function createFolder(name, user) {
+  const now = new Date().toISOString();
+  const folder = { id: `f_${Date.now()}`, name, createdAt: now, createdBy: user?.username ?? null, updatedAt: now, updatedBy: user?.username ?? null };
+  transaction(() => {
+    // Two folders created in the same millisecond still get distinct ids
+    while (getFolder(folder.id)) folder.id = `f_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    openDb().prepare(`INSERT INTO folders (id, name, created_at, created_by, updated_at, updated_by)
+      VALUES (@id, @name, @createdAt, @createdBy, @updatedAt, @updatedBy)`).run(folder);
+  });
+  return { ...folder, description: null, hotels: [] };
+}
+
+/**
+ * Rename a folder and/or change its description — `changes` is
+ * { name?, description? }. Returns the folder without its hotels.
+ */
+function updateFolder(folderId, changes, user) {
+  const edit = {};
+  if (changes.name !== undefined) {
+    if (typeof changes.name !== 'string' || !changes.name.trim()) throw new FolderStoreError('name must be a non-empty string', 400);
+    edit.name = changes.name.trim();
+  }
+  if (changes.description !== undefined) {
+    if (changes.description !== null && typeof changes.description !== 'string') throw new FolderStoreError('description must be a string', 400);
+    edit.description = changes.description?.trim() || null;
+    if (edit.description?.length > MAX_DESCRIPTION_LENGTH) throw new FolderStoreError(`description is limited to ${MAX_DESCRIPTION_LENGTH} characters`, 400);
+  }
+  if (!Object.keys(edit).length) throw new FolderStoreError('Nothing to change — send name and/or description', 400);
+  return transaction(() => {
+    const row = requireFolder(folderId);
+    openDb().prepare('UPDATE folders SET name = ?, description = ? WHERE id = ?')
+      .run(edit.name ?? row.name, 'description' in edit ? edit.description : row.description, folderId);
+    touchFolder(folderId, user);
+    return getFolder(folderId);
+  });
+}
+
+/**
+ * Delete a folder and its hotels. Returns false if there was no such folder.
+ */
+function deleteFolder(folderId) {
+  return openDb().prepare('DELETE FROM folders WHERE id = ?').run(folderId).changes > 0;
+}
+
+// ─── Hotels ──────────────────────────────────────────────────────────────────
+
+/**
+ * One saved hotel with its cachedData, or null
+ */
+function getHotel(folderId, placeId) {
+  const row = selectHotel(folderId, placeId);
+  return row ? fullHotel(row) : null;
+}
+
+const hasHotel = (folderId, placeId) =>
+  !!openDb().prepare('SELECT 1 FROM hotels WHERE folder_id = ? AND place_id = ?').get(folderId, placeId);
+
+/**
+ * Save a hotel into a folder. Throws FolderStoreError 404 / 409 if the folder
+ * is gone or the hotel was saved meanwhile.
+ */
+function addHotel(folderId, hotel, user) {
+  transaction(() => {
+    requireFolder(folderId);
+    if (hasHotel(folderId, hotel.placeId)) throw new FolderStoreError('Hotel already in folder', 409);
+    writeHotel(folderId, hotel, { insert: true });
+    touchFolder(folderId, user);
+  });
+  return hotel;
+}
+
+/**
+ * Read, change and write one hotel atomically. `mutate(hotel)` edits the full
+ * hotel (cachedData included) in place and must not be async. `user` (if
+ * given) is recorded as the folder's last editor. Returns the saved hotel.
+ */
+function updateHotel(folderId, placeId, mutate, user = null) {
+  return transaction(() => {
+    requireFolder(folderId);
+    const row = selectHotel(folderId, placeId);
+    if (!row) throw new FolderStoreError('Hotel not found', 404);
+    const hotel = fullHotel(row);
+    mutate(hotel);
+    hotel.placeId = placeId;
+    writeHotel(folderId, hotel);
+    if (user) touchFolder(folderId, user);
+    return hotel;
+  });
+}
+
+/**
+ * Check an edit of a hotel's notes / tags / status — any of them, from a
+ * request body. Tags are trimmed, lower-cased and de-duplicated. Returns the
+ * fields to set; throws FolderStoreError 400.
+ */
+function hotelAnnotations(body) {
+  const edit = {};
+  if (body.notes !== undefined) {
+    if (body.notes !== null && typeof body.notes !== 'string') throw new FolderStoreError('notes must be a string', 400);
+    edit.notes = body.notes?.trim() || null;
+    if (edit.notes?.length > MAX_NOTES_LENGTH) throw new FolderStoreError(`notes are limited to ${MAX_NOTES_LENGTH} characters`, 400);
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(t => typeof t !== 'string')) throw new FolderStoreError('tags must be an array of strings', 400);
+    edit.tags = [...new Set(body.tags.map(t => t.replace(/\s+/g, ' ').trim().toLowerCase()).filter(Boolean))];
+    if (edit.tags.length > MAX_TAGS) throw new FolderStoreError(`At most ${MAX_TAGS} tags per hotel`, 400);
+    const long = edit.tags.find(t => t.length > MAX_TAG_LENGTH);
+    if (long) throw new FolderStoreError(`Tag "${long}" is longer than ${MAX_TAG_LENGTH} characters`, 400);
+  }
+  if (body.status !== undefined) {
+    if (body.status !== null && !HOTEL_STATUSES.includes(body.status)) {
+      throw new FolderStoreError(`status must be one of: ${HOTEL_STATUSES.join(', ')} (or null)`, 400);
+    }
+    edit.status = body.status;
+  }
+  if (!Object.keys(edit).length) throw new FolderStoreError('Nothing to change — send notes, tags and/or status', 400);
+  return edit;
+}
+
+/**
+ * Move or copy a saved hotel, cached data, notes and tags included, to another
+ * folder — nothing is fetched again. A copy is stamped as saved now by `user`.
+ * Throws FolderStoreError 404 / 409 / 400. Returns the slim hotel.
+ */
+function transferHotel(fromId, placeId, toId, { copy = false } = {}, user = null) {
+  if (fromId === toId) throw new FolderStoreError('The hotel is already in that folder', 400);
+  return transaction(() => {
+    requireFolder(fromId);
+    if (!getFolder(toId)) throw new FolderStoreError('Target folder not found', 404);
+    const row = selectHotel(fromId, placeId);
+    if (!row) throw new FolderStoreError('Hotel not found', 404);
+    if (hasHotel(toId, placeId)) throw new FolderStoreError('Hotel already in the target folder', 409);
+    const hotel = fullHotel(row);
+    if (copy) {
+      hotel.savedAt = new Date().toISOString();
+      hotel.addedBy = user?.username ?? null;
+    }
+    writeHotel(toId, hotel, { insert: true });
+    touchFolder(toId, user);
+    if (!copy) {
+      openDb().prepare('DELETE FROM hotels WHERE folder_id = ? AND place_id = ?').run(fromId, placeId);
+      touchFolder(fromId, user);
+    }
+    const { cachedData, ...slim } = hotel;
+    return slim;
+  });
+}
+
+function removeHotel(folderId, placeId, user) {
+  transaction(() => {
+    requireFolder(folderId);
+    const { changes } = openDb().prepare('DELETE FROM hotels WHERE folder_id = ? AND place_id = ?').run(folderId, placeId);
+    if (!changes) throw new FolderStoreError('Hotel not found', 404);
+    touchFolder(folderId, user);
+  });
+}
+
+/**
+ * Every saved hotel with its cachedData and folder — or only one folder's
+ */
+function allHotels(folderId = null) {
+  return openDb().prepare(`SELECT h.*, d.cached_data, f.name AS folder_name FROM hotels h
+    JOIN folders f ON f.id = h.folder_id
+    LEFT JOIN hotel_data d ON d.folder_id = h.folder_id AND d.place_id = h.place_id
+    WHERE @folderId IS NULL OR h.folder_id = @folderId
+    ORDER BY f.rowid, h.rowid`).all({ folderId })
+    .map(r => ({ folderId: r.folder_id, folderName: r.folder_name, ...fullHotel(r) }));
+}
+
+// ─── Import / export ─────────────────────────────────────────────────────────
+
+/**
+ * Every folder in the saved-portfolios.json shape: { folders: [{ ..., hotels: [{ ..., cachedData }] }] }
+ */
+function exportFolders() {
+  const folders = openDb().prepare('SELECT * FROM folders ORDER BY rowid').all().map(r => ({ ...folderFromRow(r), hotels: [] }));
+  const byId = new Map(folders.map(f => [f.id, f]));
+  for (const h of allHotels()) {
+    const { folderId, folderName, ...hotel } = h;
+    byId.get(folderId)?.hotels.push(hotel);
+  }
+  return { folders };
+}
+
+/**
+ * Add the folders in a saved-portfolios.json, in one transaction. Folders whose
+ * id is already present are skipped.
+ */
+function importFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  let folders = 0;
+  let hotels = 0;
+  transaction(() => {
+    for (const f of data.folders || []) {
+      if (!f.id || getFolder(f.id)) continue;
+      openDb().prepare(`INSERT INTO folders (id, name, description, created_at, created_by, updated_at, updated_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`).run(f.id, f.name || f.id, f.description ?? null, f.createdAt || new Date().toISOString(),
+        f.createdBy ?? null, f.updatedAt ?? null, f.updatedBy ?? null);
+      folders++;
+      const seen = new Set();
+      for (const h of f.hotels || []) {
+        if (!h.placeId || seen.has(h.placeId)) continue;
+        seen.add(h.placeId);
+        writeHotel(f.id, h, { insert: true });
+        hotels++;
+      }
+    }
+  });
+  return { folders, hotels };
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+async function main(args = process.argv.slice(2)) {
+  const [command, file] = args;
+  switch (command) {
+    case 'import': {
+      const source = path.resolve(file || LEGACY_PATH);
+      if (!fs.existsSync(source)) throw new Error(`No file ${source}`);
+      const { folders, hotels } = importFile(source);
+      console.log(chalk.green(`Imported ${folders} folders (${hotels} hotels) from ${path.relative(process.cwd(), source)}`));
+      return;
+    }
+    case 'export': {
+      const json = JSON.stringify(exportFolders(), null, 2);
+      if (!file) { process.stdout.write(json + '\n'); return; }
+      fs.writeFileSync(file, json);
+      console.log(chalk.green(`Wrote ${file}`));
+      return;
+    }
+    default:
+      console.log('Usage: npm run folders -- import [saved-portfolios.json] | export [file]');
+  }
+}
+
+export {
+  HOTEL_STATUSES, FolderStoreError, listFolders, getFolder, createFolder, updateFolder, deleteFolder,
+  getHotel, hasHotel, addHotel, updateHotel, hotelAnnotations, transferHotel, removeHotel, allHotels, exportFolders, main,
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(chalk.red('Error:'), err.message);
+    process.exit(1);
+  });
+}
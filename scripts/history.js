@@ -0,0 +1,116 @@
+/**
+ * history.js
+ * Append-only store of dated rating snapshots, one line per fetch run:
+ *   - Google rating + total ratings
+ *   - TripAdvisor rating, review count, subratings, ranking
+ *
+ * fetch-all.js appends a snapshot after every merge; server.js reads it back
+ * as per-metric time series for /api/portfolio/history.
+ *
+ * File: history.jsonl in each portfolio's data directory (see portfolios.js)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getPortfolio, dataFile } from './portfolios.js';
+
+const historyPath = pf => dataFile(pf, 'history.jsonl');
+
+/**
+ * Pull the numeric position out of a TripAdvisor ranking string
+ * ("#3 of 87 hotels in Houston" → { position: 3, total: 87 })
+ */
+function parseRanking(rankingString) {
+  const m = rankingString?.match(/#([\d,]+)\s+of\s+([\d,]+)/i);
+  if (!m) return { position: null, total: null };
+  return {
+    position: parseInt(m[1].replace(/,/g, '')),
+    total: parseInt(m[2].replace(/,/g, '')),
+  };
+}
+
+/**
+ * Reduce one merged portfolio entry to the metrics we track over time.
+ * Sources that errored are left out so the series shows a gap, not a zero.
+ */
+function snapshotProperty(p) {
+  const g = p.google && !p.google.error ? p.google : null;
+  const ta = p.tripadvisor && !p.tripadvisor.error ? p.tripadvisor : null;
+  const ranking = parseRanking(ta?.rankingString);
+  return {
+    propertyId: p.id,
+    google: g ? {
+      rating: g.rating ?? null,
+      totalRatings: g.totalRatings ?? null,
+    } : null,
+    tripadvisor: ta ? {
+      rating: ta.rating ?? null,
+      numReviews: ta.numReviews ?? null,
+      rankingString: ta.rankingString ?? null,
+      rankingPosition: ranking.position,
+      rankingTotal: ranking.total,
+      subratings: Object.fromEntries(
+        Object.entries(ta.subratings || {}).map(([k, s]) => [k, s.value ?? null])
+      ),
+    } : null,
+  };
+}
+
+/**
+ * Append a dated snapshot of the merged portfolio
+ */
+function appendSnapshot(portfolio, takenAt = new Date().toISOString(), pf = getPortfolio()) {
+  const file = historyPath(pf);
+  if (!fs.existsSync(path.dirname(file))) fs.mkdirSync(path.dirname(file), { recursive: true });
+  const snapshot = { takenAt, properties: portfolio.map(snapshotProperty) };
+  fs.appendFileSync(file, JSON.stringify(snapshot) + '\n');
+  return snapshot;
+}
+
+/**
+ * Read all snapshots, oldest first. Malformed lines are skipped.
+ */
+function loadHistory(pf = getPortfolio()) {
+  const file = historyPath(pf);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => { try { return JSON.parse(line); } catch { return null; } })
+    .filter(Boolean)
+    .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+}
+
+/**
+ * Build per-metric time series for one property:
+ *   { 'google.rating': [{ t, v }], 'tripadvisor.subratings.rooms': [...], ... }
+ */
+function propertySeries(history, propertyId) {
+  const series = {};
+  const push = (metric, t, v) => {
+    if (v == null) return;
+    (series[metric] = series[metric] || []).push({ t, v });
+  };
+
+  for (const snap of history) {
+    const p = snap.properties.find(x => x.propertyId === propertyId);
+    if (!p) continue;
+    const t = snap.takenAt;
+    if (p.google) {
+      push('google.rating', t, p.google.rating);
+      push('google.totalRatings', t, p.google.totalRatings);
+    }
+    if (p.tripadvisor) {
+      push('tripadvisor.rating', t, p.tripadvisor.rating);
+      push('tripadvisor.numReviews', t, p.tripadvisor.numReviews);
+      push('tripadvisor.rankingString', t, p.tripadvisor.rankingString);
+      push('tripadvisor.rankingPosition', t, p.tripadvisor.rankingPosition);
+      Object.entries(p.tripadvisor.subratings || {}).forEach(([k, v]) =>
+        push(`tripadvisor.subratings.${k}`, t, v)
+      );
+    }
+  }
+  return series;
+}
+
+export { historyPath, parseRanking, appendSnapshot, loadHistory, propertySeries };
@@ -0,0 +1,118 @@
+/**
+ * hotel-lookup.js
+ * Full details for one hotel, as saved in a folder: Google Places details,
+ * TripAdvisor details + reviews + photos, and the SerpAPI room count. Used by
+ * the server's live lookup and folder routes and by folder-refresh.js.
+ *
+ * Google photos come back as references only — cacheHotelPhotos()
+ * (photo-cache.js) swaps them for key-free /api/photos URLs.
+ */
+
+import { google as googleApi, tripadvisor as taApi, serpapi as serpApi, CircuitOpenError } from './providers.js';
+import { BudgetExceededError } from './usage.js';
+
+async function fetchHotelDetails(placeId) {
+  const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+  if (!apiKey) throw new Error('Google API key not configured');
+  const r = await googleApi.get('https://maps.googleapis.com/maps/api/place/details/json', {
+    params: {
+      place_id: placeId,
+      fields: 'name,rating,user_ratings_total,price_level,reviews,photos,website,formatted_phone_number,url,formatted_address,geometry',
+      key: apiKey
+    }
+  });
+  const d = r.data.result;
+  return {
+    placeId,
+    name: d.name,
+    address: d.formatted_address,
+    rating: d.rating,
+    totalRatings: d.user_ratings_total,
+    priceLevel: d.price_level ?? null,
+    lat: d.geometry?.location?.lat,
+    lng: d.geometry?.location?.lng,
+    googleMapsUrl: d.url,
+    website: d.website,
+    phone: d.formatted_phone_number,
+    reviews: (d.reviews || []).map(rv => ({
+      author: rv.author_name, rating: rv.rating, text: rv.text,
+      time: rv.time, timeDescription: rv.relative_time_description,
+      profilePhoto: rv.profile_photo_url
+    })),
+    // Only the reference — cacheHotelPhotos() swaps it for a key-free /api/photos URL
+    photos: (d.photos || []).slice(0, 20).map(p => ({
+      photoReference: p.photo_reference,
+      width: p.width, height: p.height, attributions: p.html_attributions
+    }))
+  };
+}
+
+async function fetchTAHotelDetails(locationId) {
+  const apiKey = process.env.TRIPADVISOR_API_KEY;
+  if (!apiKey) throw new Error('TripAdvisor API key not configured');
+  try {
+    const [detRes, revRes, photoRes] = await Promise.all([
+      taApi.get(`/location/${locationId}/details`, { params: { language: 'en', currency: 'USD' } }),
+      taApi.get(`/location/${locationId}/reviews`, { params: { language: 'en', limit: 5 } }),
+      taApi.get(`/location/${locationId}/photos`,  { params: { language: 'en', limit: 20 } }),
+    ]);
+    const d = detRes.data;
+    const subratings = d.subratings
+      ? Object.fromEntries(Object.entries(d.subratings).map(([k, v]) => [k, { name: v.localized_name, value: parseFloat(v.value) }]))
+      : {};
+    return {
+      locationId,
+      tripadvisorUrl: d.web_url,
+      name: d.name,
+      address: d.address_obj?.address_string,
+      rating: parseFloat(d.rating) || null,
+      numReviews: d.num_reviews,
+      numRooms: d.num_rooms || null,
+      rankingString: d.ranking_data?.ranking_string,
+      priceLevel: d.price_level,
+      subratings,
+      reviews: (revRes.data?.data || []).map(rv => ({
+        id: rv.id, title: rv.title, text: rv.text, rating: rv.rating,
+        publishedDate: rv.published_date, helpfulVotes: rv.helpful_votes,
+        tripType: rv.trip_type, travelDate: rv.travel_date,
+        user: { username: rv.user?.username, userLocation: rv.user?.user_location?.name },
+        url: rv.url,
+      })),
+      photos: (photoRes.data?.data || []).map(ph => ({
+        id: ph.id, caption: ph.caption,
+        images: {
+          thumbnail: ph.images?.thumbnail?.url, small: ph.images?.small?.url,
+          medium: ph.images?.medium?.url, large: ph.images?.large?.url,
+          original: ph.images?.original?.url,
+        },
+      })),
+    };
+  } catch (err) {
+    if (err instanceof BudgetExceededError || err instanceof CircuitOpenError) throw err;
+    const msg = err.response?.data?.message || err.response?.data?.error
+      || `${err.message}${err.response?.status ? ` (HTTP ${err.response.status})` : ''}`;
+    throw new Error(msg);
+  }
+}
+
+async function lookupRoomsViaSerpApi(locationId) {
+  const apiKey = process.env.SERPAPI_KEY;
+  if (!apiKey || apiKey === 'your_serpapi_key_here') {
+    console.log('[SerpAPI] No API key configured — skipping room lookup');
+    return null;
+  }
+  try {
+    const { data } = await serpApi.get('https://serpapi.com/search.json', {
+      params: { engine: 'tripadvisor_place', place_id: locationId, api_key: apiKey },
+      timeout: 10000,
+    });
+    const n = data.place_result?.num_rooms ?? null;
+    console.log(`[SerpAPI] room count for TA location ${locationId}: ${n}`);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  } catch (err) {
+    console.error('[SerpAPI] room lookup error:', err.message);
+    return null;
+  }
+}
+
+export { fetchHotelDetails, fetchTAHotelDetails, lookupRoomsViaSerpApi };
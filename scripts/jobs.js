@@ -0,0 +1,184 @@
+/**
+ * jobs.js
+ * In-process background jobs for long-running server work (data refreshes,
+ * folder CSV imports and folder refreshes).
+ *
+ * Jobs run one at a time in the order they were queued — the fetchers keep
+ * per-run state and write the same data files, so two must never overlap.
+ * Each job has:
+ *   { id, type, params, status, createdBy, createdAt, startedAt, finishedAt,
+ *     progress: { done, total, percent, label }, log: [{ at, level, message }],
+ *     error, result }
+ * status: queued → running → succeeded | failed | cancelled
+ *
+ * The work function gets a context to report through:
+ *   ctx.setTotal(n)          — how many steps the job will take
+ *   ctx.advance(label)       — one step done
+ *   ctx.step(label)          — change the label without counting a step
+ *   ctx.log(message, level)  — info | warn | error
+ *   ctx.throwIfCancelled()   — call between steps; cancelling takes effect there
+ *
+ * Only the last MAX_JOBS jobs are kept, in memory — history is lost on restart.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const MAX_JOBS = 50;
+const MAX_LOG_LINES = 500;
+const TERMINAL = new Set(['succeeded', 'failed', 'cancelled']);
+
+const jobs = new Map();
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let running = null;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * The JSON form of a job — everything except its work function
+ */
+function publicJob(job, { log = true } = {}) {
+  const { run, cancelRequested, ...rest } = job;
+  return log ? rest : { ...rest, log: undefined, logLines: job.log.length };
+}
+
+function emit(job, type, data) {
+  events.emit(job.id, { type, data });
+}
+
+function setStatus(job, status, extra = {}) {
+  Object.assign(job, { status }, extra);
+  emit(job, 'status', publicJob(job, { log: false }));
+}
+
+function addLog(job, message, level = 'info') {
+  const line = { at: new Date().toISOString(), level, message: String(message) };
+  job.log.push(line);
+  if (job.log.length > MAX_LOG_LINES) job.log.splice(0, job.log.length - MAX_LOG_LINES);
+  emit(job, 'log', line);
+}
+
+function setProgress(job, changes) {
+  const p = Object.assign(job.progress, changes);
+  p.percent = p.total ? Math.min(100, Math.round((p.done / p.total) * 100)) : 0;
+  emit(job, 'progress', p);
+}
+
+function context(job) {
+  return {
+    id: job.id,
+    setTotal: total => setProgress(job, { total }),
+    advance: label => setProgress(job, { done: job.progress.done + 1, ...(label ? { label } : {}) }),
+    step: label => setProgress(job, { label }),
+    log: (message, level) => addLog(job, message, level),
+    throwIfCancelled: () => { if (job.cancelRequested) throw new JobCancelledError(); },
+  };
+}
+
+function prune() {
+  const finished = [...jobs.values()].filter(j => TERMINAL.has(j.status));
+  for (const job of finished.slice(0, Math.max(0, jobs.size - MAX_JOBS))) jobs.delete(job.id);
+}
+
+async function drain() {
+  if (running || !queue.length) return;
+  const job = queue.shift();
+  running = job;
+  setStatus(job, 'running', { startedAt: new Date().toISOString() });
+  setProgress(job, { label: 'Starting' });
+  try {
+    const result = await job.run(context(job));
+    setStatus(job, 'succeeded', { result: result ?? null, finishedAt: new Date().toISOString() });
+  } catch (err) {
+    if (err instanceof JobCancelledError) {
+      addLog(job, 'Cancelled', 'warn');
+      setStatus(job, 'cancelled', { finishedAt: new Date().toISOString() });
+    } else {
+      addLog(job, err.message, 'error');
+      setStatus(job, 'failed', { error: err.message, finishedAt: new Date().toISOString() });
+    }
+  } finally {
+    running = null;
+    prune();
+    drain();
+  }
+}
+
+/**
+ * Queue a job. `run(ctx)` does the work; its return value becomes job.result.
+ */
+function enqueueJob(type, params, run, { createdBy = null } = {}) {
+  const job = {
+    id: `job_${crypto.randomBytes(6).toString('hex')}`,
+    type,
+    params,
+    status: 'queued',
+    createdBy,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: { done: 0, total: 0, percent: 0, label: 'Queued' },
+    log: [],
+    error: null,
+    result: null,
+    run,
+    cancelRequested: false,
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  setImmediate(drain);
+  return job;
+}
+
+/**
+ * A queued or running job of this type whose params match, if any —
+ * lets callers refuse to queue the same refresh twice
+ */
+function findActiveJob(type, params) {
+  const same = JSON.stringify(params);
+  return [...jobs.values()].find(j => j.type === type && !TERMINAL.has(j.status) && JSON.stringify(j.params) === same) || null;
+}
+
+const getJob = id => jobs.get(id) || null;
+
+/**
+ * Newest first
+ */
+const listJobs = () => [...jobs.values()].reverse();
+
+/**
+ * Cancel a job: a queued one is dropped at once, a running one stops at its
+ * next throwIfCancelled() check. Returns false if it had already finished.
+ */
+function cancelJob(id, by = null) {
+  const job = jobs.get(id);
+  if (!job || TERMINAL.has(job.status)) return false;
+  job.cancelRequested = true;
+  addLog(job, `Cancel requested${by ? ` by ${by}` : ''}`, 'warn');
+  const i = queue.indexOf(job);
+  if (i !== -1) {
+    queue.splice(i, 1);
+    setStatus(job, 'cancelled', { finishedAt: new Date().toISOString() });
+  }
+  return true;
+}
+
+/**
+ * Listen to one job's events — { type: 'status' | 'progress' | 'log', data }.
+ * Returns the unsubscribe function.
+ */
+function subscribeJob(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+const isFinished = job => TERMINAL.has(job.status);
+
+export { JobCancelledError, enqueueJob, findActiveJob, getJob, listJobs, cancelJob, subscribeJob, publicJob, isFinished };
@@ -0,0 +1,132 @@
+/**
+ * match.js
+ * Decides whether a text-search result really is the hotel we asked for.
+ *
+ * Each candidate is scored 0–1 on:
+ *   - name     — share of the property's name words present, 0 if the brand
+ *                (properties.json "brand", when it is part of the name) is missing
+ *                or is the only word that matches
+ *   - address  — street number, ZIP and street-name overlap with properties.json
+ *   - distance — from the known coordinates (properties.json lat/lng, or the
+ *                Google match for the same property): 1 within 0.5 km, 0 at 5 km+
+ * and the available components are blended into one confidence. Anything under
+ * MATCH_MIN_CONFIDENCE (default 0.6) is flagged needsReview by the fetchers
+ * instead of being accepted; pinning an ID in properties.json skips matching.
+ */
+
+const WEIGHTS = { name: 0.5, address: 0.3, distance: 0.2 };
+
+function minConfidence() {
+  return parseFloat(process.env.MATCH_MIN_CONFIDENCE || '0.6');
+}
+
+// Score how well a candidate name matches the target hotel name.
+// The first meaningful word is the brand name — if it doesn't appear in the
+// candidate the score is 0 immediately, preventing geographic noise words
+// (e.g. "Paris", "La Villette") from producing false positive matches.
+function hotelNameScore(target, candidate) {
+  const norm = s => s.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(w => w.length > 2);
+  const tw = norm(target);
+  const cw = norm(candidate);
+  if (!tw.length) return 0;
+  if (!cw.includes(tw[0])) return 0; // brand name must match
+  return tw.filter(w => cw.includes(w)).length / tw.length;
+}
+
+const words = s => s.toLowerCase().replace(/\([^)]*\)/g, ' ').replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(Boolean);
+// Short words are noise ("of", "at"), except the brand itself ("W", "JW")
+const nameWords = (s, brandWord) => words(s).filter(w => w.length > 2 || w === brandWord);
+
+// Portfolio names put the brand anywhere ("Denver Tech Center Marriott"), so
+// instead of hotelNameScore's first-word rule the brand from properties.json
+// must appear — a Hilton at the same address is still the wrong hotel. The
+// brand alone is not enough either: "W Seattle" is not "W Bellevue".
+function propertyNameScore(property, candidate) {
+  const brandWord = words(property.brand || '')[0];
+  const tw = nameWords(property.name, brandWord);
+  const cw = nameWords(candidate, brandWord);
+  if (!tw.length) return 0;
+  if (brandWord && tw.includes(brandWord)) {
+    if (!cw.includes(brandWord)) return 0;
+    if (tw.length > 1 && !tw.some(w => w !== brandWord && cw.includes(w))) return 0;
+  }
+  return tw.filter(w => cw.includes(w)).length / tw.length;
+}
+
+function addressScore(target, candidate) {
+  if (!target || !candidate) return null;
+  const parts = s => {
+    const lower = s.toLowerCase();
+    return {
+      number: lower.match(/^\s*(\d+)/)?.[1] || null,
+      zip: (lower.split(',').slice(1).join(',').match(/\b\d{5}\b/g) || []).pop() || null,
+      street: lower.split(',')[0].replace(/^\s*\d+\s*/, '').split(/\s+/).filter(w => w.length > 1),
+    };
+  };
+  const t = parts(target);
+  const c = parts(candidate);
+  let score = 0;
+  if (t.number && t.number === c.number) score += 0.4;
+  if (t.zip && t.zip === c.zip) score += 0.3;
+  const cAll = candidate.toLowerCase();
+  if (t.street.length) score += 0.3 * (t.street.filter(w => cAll.includes(w)).length / t.street.length);
+  return Math.round(score * 100) / 100;
+}
+
+function distanceKm(a, b) {
+  const rad = d => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+const hasCoords = p => typeof p?.lat === 'number' && typeof p?.lng === 'number';
+
+function distanceScore(known, candidate) {
+  if (!hasCoords(known) || !hasCoords(candidate)) return null;
+  const km = distanceKm(known, candidate);
+  return Math.round(Math.max(0, Math.min(1, 1 - (km - 0.5) / 4.5)) * 100) / 100;
+}
+
+/**
+ * Score one candidate { name, address, lat?, lng? } against a property.
+ * `known` is { lat, lng } or null.
+ */
+function scoreCandidate(property, candidate, known = null) {
+  const breakdown = {
+    name: propertyNameScore(property, candidate.name || ''),
+    address: addressScore(property.address, candidate.address),
+    distance: distanceScore(known, candidate),
+  };
+  const used = Object.entries(breakdown).filter(([, v]) => v != null);
+  const weight = used.reduce((n, [k]) => n + WEIGHTS[k], 0);
+  let confidence = used.reduce((n, [k, v]) => n + WEIGHTS[k] * v, 0) / weight;
+  // A wrong brand is never the right hotel, however close it is
+  if (breakdown.name === 0) confidence = Math.min(confidence, 0.3);
+  return { confidence: Math.round(confidence * 100) / 100, breakdown };
+}
+
+/**
+ * Rank candidates and decide. Returns
+ *   { best, confidence, breakdown, needsReview, candidates: [top 3 summaries] }
+ * or null when there are no candidates.
+ */
+function pickBestMatch(property, candidates, known = null) {
+  if (!candidates.length) return null;
+  const scored = candidates
+    .map(c => ({ candidate: c, ...scoreCandidate(property, c, known) }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const top = scored[0];
+  return {
+    best: top.candidate,
+    confidence: top.confidence,
+    breakdown: top.breakdown,
+    needsReview: top.confidence < minConfidence(),
+    candidates: scored.slice(0, 3).map(s => ({
+      id: s.candidate.id, name: s.candidate.name, address: s.candidate.address || null, confidence: s.confidence,
+    })),
+  };
+}
+
+export { minConfidence, hotelNameScore, scoreCandidate, pickBestMatch, distanceKm };
@@ -0,0 +1,387 @@
+/**
+ * photo-cache.js
+ * Self-hosted copies of Google and TripAdvisor photos.
+ *
+ * Google photo URLs need GOOGLE_PLACES_API_KEY in the query string, so they
+ * must never be stored or published; TripAdvisor CDN URLs can expire. The
+ * fetchers keep only the Google photo_reference, and this module downloads
+ * each image once, names it by a hash of its content and rewrites the photo
+ * to point at /api/photos/<hash> (served by server.js).
+ *
+ * Google hands out a new photo_reference on every Place Details call, so
+ * Google images are indexed by place, contributor and size instead
+ * (googleSourceKeys) — a weekly fetch finds the photos it already has rather
+ * than downloading and paying for all of them again.
+ *
+ * Live lookups (a hotel nobody has saved) download nothing up front: their
+ * Google photos point at /api/photos/google/<reference>, which caches that one
+ * image when the dashboard first shows it (cacheGooglePhoto).
+ *
+ *   data/photos/<hash>.<ext>   — image files
+ *   data/photos/index.json     — { sources: { sourceKey: hash }, files: { hash: { file, contentType, bytes } } }
+ *
+ * The cache is shared by every portfolio (see portfolios.js). For the static
+ * GitHub Pages build, writeStaticData() copies the referenced images to
+ * docs/data/photos/ — also shared — and rewrites the URLs to root-relative
+ * paths; exportStaticSite() writes one portfolio's whole docs export.
+ * pruneStaticPhotos() publishes the matching index entries so a checkout
+ * without data/ (the weekly workflow) can start from the published images.
+ *
+ * Run: npm run photos [-- --portfolio <id>]
+ *   (re-caches each portfolio.json + saved folders, rebuilds the docs exports)
+ */
+
+import { photos as photoClient } from './providers.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { listPortfolios, portfolioFromArgs, dataFile } from './portfolios.js';
+import { allHotels, updateHotel, FolderStoreError } from './folder-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+// Load env
+const envPath = path.join(ROOT, '.env');
+if (fs.existsSync(envPath)) {
+  const envContent = fs.readFileSync(envPath, 'utf8');
+  envContent.split('\n').forEach(line => {
+    const [key, ...val] = line.split('=');
+    if (key && !key.startsWith('#') && !process.env[key.trim()]) process.env[key.trim()] = val.join('=').trim();
+  });
+}
+
+const PHOTOS_DIR = path.join(ROOT, 'data', 'photos');
+const INDEX_PATH = path.join(PHOTOS_DIR, 'index.json');
+const DOCS_DATA_DIR = path.join(ROOT, 'docs', 'data');
+const STATIC_PHOTOS_DIR = path.join(DOCS_DATA_DIR, 'photos');
+const STATIC_INDEX_PATH = path.join(DOCS_DATA_DIR, 'photo-index.json');
+const PHOTO_MAX_WIDTH = 800;
+const CONCURRENCY = 4;
+const HASH_RE = /^[a-f0-9]{32}$/;
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+let index; // Loaded lazily so importing this module never touches the disk
+
+function loadIndex() {
+  if (index) return index;
+  index = { sources: {}, files: {} };
+  if (fs.existsSync(INDEX_PATH)) {
+    try { index = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8')); }
+    catch { /* rebuilt as photos are cached again */ }
+  }
+  return index;
+}
+
+function saveIndex() {
+  fs.mkdirSync(PHOTOS_DIR, { recursive: true });
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(loadIndex(), null, 2));
+}
+
+const photoUrl = hash => `/api/photos/${hash}`;
+const googlePhotoUrl = (ref, apiKey) =>
+  `https://maps.googleapis.com/maps/api/place/photo?maxwidth=${PHOTO_MAX_WIDTH}&photoreference=${ref}&key=${apiKey}`;
+
+/**
+ * Download one image (unless this source was cached before) and return its hash
+ */
+async function cacheImage(sourceKey, downloadUrl) {
+  const idx = loadIndex();
+  const known = idx.sources[sourceKey];
+  if (known && idx.files[known] && fs.existsSync(path.join(PHOTOS_DIR, idx.files[known].file))) return known;
+
+  const res = await photoClient.get(downloadUrl, { responseType: 'arraybuffer', timeout: 20000 });
+  const contentType = String(res.headers['content-type'] || 'image/jpeg').split(';')[0].trim();
+  if (!contentType.startsWith('image/')) throw new Error(`not an image (${contentType})`);
+  const body = Buffer.from(res.data);
+  const hash = crypto.createHash('sha256').update(body).digest('hex').slice(0, 32);
+  const file = `${hash}.${EXTENSIONS[contentType] || 'img'}`;
+
+  fs.mkdirSync(PHOTOS_DIR, { recursive: true });
+  if (!fs.existsSync(path.join(PHOTOS_DIR, file))) fs.writeFileSync(path.join(PHOTOS_DIR, file), body);
+  idx.files[hash] = { file, contentType, bytes: body.length };
+  idx.sources[sourceKey] = hash;
+  return hash;
+}
+
+/**
+ * Google photo_reference for a photo — from the field the fetchers now store,
+ * or pulled out of a legacy keyed URL saved before the cache existed
+ */
+function googleReference(photo) {
+  if (photo.photoReference) return photo.photoReference;
+  return photo.url?.match(/[?&]photoreference=([^&]+)/)?.[1] || null;
+}
+
+// Contributor id from html_attributions (…/maps/contrib/<id>), else their name
+function contributor(photo) {
+  const attribution = String(photo.attributions?.[0] || '');
+  return attribution.match(/\/contrib\/(\d+)/)?.[1] || attribution.replace(/<[^>]*>/g, '').trim();
+}
+
+/**
+ * Stable index keys for a place's Google photos: place id, contributor and
+ * size, numbered when one contributor has several photos of the same size.
+ * Without a place id the (per-call) reference is all there is.
+ */
+function googleSourceKeys(photos, placeId) {
+  const seen = {};
+  return photos.map(photo => {
+    if (!placeId) return `g:${googleReference(photo)}`;
+    const base = `g:${placeId}:${contributor(photo)}:${photo.width}x${photo.height}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return `${base}:${seen[base]}`;
+  });
+}
+
+const taDisplayUrl = ph => ph.images?.large || ph.images?.medium || ph.images?.small || ph.images?.original;
+const isCached = url => typeof url === 'string' && /^\/api\/photos\/[a-f0-9]{32}$/.test(url);
+
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/**
+ * Cache one place's Google photo list. Photos that can't be downloaded are
+ * dropped — falling back to the keyed URL would leak the API key.
+ */
+async function cacheGooglePhotos(photos = [], placeId = null) {
+  const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+  const keys = googleSourceKeys(photos, placeId);
+  let failed = 0;
+  const out = await mapLimit(photos, CONCURRENCY, async (photo, i) => {
+    if (isCached(photo.url)) return photo;
+    const ref = googleReference(photo);
+    if (!ref || !apiKey) { failed++; return null; }
+    try {
+      const hash = await cacheImage(keys[i], googlePhotoUrl(ref, apiKey));
+      const { photoReference, ...rest } = photo;
+      return { ...rest, url: photoUrl(hash) };
+    } catch {
+      failed++;
+      return null;
+    }
+  });
+  saveIndex();
+  return { photos: out.filter(Boolean), failed };
+}
+
+/**
+ * A live lookup's Google photos, pointed at /api/photos/google/<reference> so
+ * each image is only downloaded (and billed) when it is looked at
+ */
+function lazyGooglePhotos(photos = []) {
+  return photos
+    .filter(photo => googleReference(photo))
+    .map(photo => ({ ...photo, url: `/api/photos/google/${encodeURIComponent(googleReference(photo))}` }));
+}
+
+/**
+ * Cache one Google photo by reference and return its hash — what
+ * /api/photos/google/:ref serves
+ */
+async function cacheGooglePhoto(ref) {
+  const apiKey = process.env.GOOGLE_PLACES_API_KEY;
+  if (!apiKey) throw new Error('Google API key not configured');
+  const hash = await cacheImage(`g:${ref}`, googlePhotoUrl(ref, apiKey));
+  saveIndex();
+  return hash;
+}
+
+/**
+ * Cache a TripAdvisor photo list. Only the size the dashboard shows is kept;
+ * photos that fail keep their CDN URLs (no key in them) and are retried next run.
+ */
+async function cacheTAPhotos(photos = []) {
+  let failed = 0;
+  const out = await mapLimit(photos, CONCURRENCY, async photo => {
+    const url = taDisplayUrl(photo);
+    if (!url || isCached(url)) return photo;
+    try {
+      const hash = await cacheImage(`ta:${url}`, url);
+      return { ...photo, images: { large: photoUrl(hash) } };
+    } catch {
+      failed++;
+      return photo;
+    }
+  });
+  saveIndex();
+  return { photos: out, failed };
+}
+
+/**
+ * Rewrite every photo of a merged portfolio in place
+ */
+async function cachePortfolioPhotos(portfolio) {
+  let cached = 0;
+  let failed = 0;
+  for (const p of portfolio) {
+    if (p.google && !p.google.error && p.google.photos?.length) {
+      const r = await cacheGooglePhotos(p.google.photos, p.google.placeId);
+      p.google.photos = r.photos;
+      cached += r.photos.length;
+      failed += r.failed;
+    }
+    if (p.tripadvisor && !p.tripadvisor.error && p.tripadvisor.photos?.length) {
+      const r = await cacheTAPhotos(p.tripadvisor.photos);
+      p.tripadvisor.photos = r.photos;
+      cached += r.photos.length - r.failed;
+      failed += r.failed;
+    }
+  }
+  return { cached, failed };
+}
+
+/**
+ * Rewrite one saved folder hotel's cachedData in place
+ */
+async function cacheHotelPhotos(cachedData, placeId = null) {
+  if (!cachedData) return cachedData;
+  if (cachedData.photos?.length) cachedData.photos = (await cacheGooglePhotos(cachedData.photos, placeId)).photos;
+  if (cachedData.tripadvisor?.photos?.length) {
+    cachedData.tripadvisor.photos = (await cacheTAPhotos(cachedData.tripadvisor.photos)).photos;
+  }
+  return cachedData;
+}
+
+/**
+ * Look up a cached file for /api/photos/:hash
+ */
+function photoFile(hash) {
+  if (!HASH_RE.test(hash)) return null;
+  // A fetch in another process may have added it since we last read the index
+  if (!loadIndex().files[hash]) index = null;
+  const entry = loadIndex().files[hash];
+  if (!entry) return null;
+  const filePath = path.join(PHOTOS_DIR, entry.file);
+  return fs.existsSync(filePath) ? { path: filePath, contentType: entry.contentType } : null;
+}
+
+/**
+ * Write a JSON file for the static site: /api/photos/<hash> URLs become
+ * data/photos/<file> paths (relative to docs/) and the images are copied there.
+ * Google URLs that still carry a key are stripped rather than published.
+ */
+function writeStaticData(data, docsDataDir, fileName) {
+  fs.mkdirSync(STATIC_PHOTOS_DIR, { recursive: true });
+  fs.mkdirSync(docsDataDir, { recursive: true });
+  const files = loadIndex().files;
+  const json = JSON.stringify(data, null, 2)
+    .replace(/\/api\/photos\/([a-f0-9]{32})/g, (m, hash) => {
+      const entry = files[hash];
+      if (!entry) return m;
+      const dest = path.join(STATIC_PHOTOS_DIR, entry.file);
+      if (!fs.existsSync(dest)) fs.copyFileSync(path.join(PHOTOS_DIR, entry.file), dest);
+      return `data/photos/${entry.file}`;
+    })
+    .replace(/https:\/\/maps\.googleapis\.com\/maps\/api\/place\/photo\?[^"]*key=[^"]*/g, '');
+  fs.writeFileSync(path.join(docsDataDir, fileName), json);
+}
+
+/**
+ * Remove images from docs/data/photos that no published JSON of any
+ * portfolio points at, then publish the index entries of the images left
+ * (docs/data/photo-index.json) — CI has no data/photos between runs and
+ * seeds it from these
+ */
+function pruneStaticPhotos() {
+  if (!fs.existsSync(STATIC_PHOTOS_DIR)) return 0;
+  const jsonFiles = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(e => {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) return full === STATIC_PHOTOS_DIR ? [] : jsonFiles(full);
+    return e.name.endsWith('.json') ? [full] : [];
+  });
+  const published = jsonFiles(DOCS_DATA_DIR).map(f => fs.readFileSync(f, 'utf8')).join('\n');
+  let removed = 0;
+  for (const file of fs.readdirSync(STATIC_PHOTOS_DIR)) {
+    if (!published.includes(`data/photos/${file}`)) {
+      fs.unlinkSync(path.join(STATIC_PHOTOS_DIR, file));
+      removed++;
+    }
+  }
+  const kept = new Set(fs.readdirSync(STATIC_PHOTOS_DIR));
+  const idx = loadIndex();
+  const files = Object.fromEntries(Object.entries(idx.files).filter(([, entry]) => kept.has(entry.file)));
+  const sources = Object.fromEntries(Object.entries(idx.sources).filter(([, hash]) => files[hash]));
+  fs.writeFileSync(STATIC_INDEX_PATH, JSON.stringify({ sources, files }, null, 2));
+  return removed;
+}
+
+/**
+ * One portfolio's GitHub Pages export: key-free portfolio.json plus the
+ * metadata, rating history and review archive, and a portfolios.json index
+ * at docs/data/ so the static dashboard can offer a switcher
+ */
+function exportStaticSite(pf, portfolio) {
+  writeStaticData(portfolio, pf.docsDataDir, 'portfolio.json');
+  for (const name of ['metadata.json', 'history.jsonl', 'reviews.jsonl']) {
+    if (fs.existsSync(dataFile(pf, name))) fs.copyFileSync(dataFile(pf, name), path.join(pf.docsDataDir, name));
+  }
+  const index = listPortfolios()
+    .filter(p => fs.existsSync(path.join(p.docsDataDir, 'portfolio.json')))
+    .map(p => ({ id: p.id, name: p.name, path: path.relative(path.join(ROOT, 'docs'), p.docsDataDir).split(path.sep).join('/') }));
+  fs.writeFileSync(path.join(DOCS_DATA_DIR, 'portfolios.json'), JSON.stringify(index, null, 2));
+}
+
+async function main() {
+  console.log(chalk.bold.cyan('\n🖼  Photo Cache'));
+  const only = portfolioFromArgs();
+
+  for (const pf of only ? [only] : listPortfolios()) {
+    const portfolioPath = dataFile(pf, 'portfolio.json');
+    if (!fs.existsSync(portfolioPath)) continue;
+    const portfolio = JSON.parse(fs.readFileSync(portfolioPath, 'utf8'));
+    const { cached, failed } = await cachePortfolioPhotos(portfolio);
+    fs.writeFileSync(portfolioPath, JSON.stringify(portfolio, null, 2));
+    console.log(chalk.cyan(`   ${pf.name}: ${cached} photos cached${failed ? `, ${failed} failed` : ''}`));
+
+    exportStaticSite(pf, portfolio);
+    console.log(chalk.gray(`   Wrote key-free ${path.relative(ROOT, pf.docsDataDir)}/portfolio.json`));
+  }
+  const removed = pruneStaticPhotos();
+  if (removed) console.log(chalk.gray(`   Pruned ${removed} old photos from docs/data/photos`));
+
+  const hotels = allHotels();
+  let saved = 0;
+  for (const hotel of hotels) {
+    const { photos, tripadvisor } = await cacheHotelPhotos(hotel.cachedData, hotel.placeId) || {};
+    // Only the photo lists — anything else may have been refreshed meanwhile
+    try {
+      updateHotel(hotel.folderId, hotel.placeId, h => {
+        if (!h.cachedData) return;
+        if (photos) h.cachedData.photos = photos;
+        if (tripadvisor?.photos && h.cachedData.tripadvisor) h.cachedData.tripadvisor.photos = tripadvisor.photos;
+      });
+      saved++;
+    } catch (err) {
+      // Removed or moved to another folder while its photos were downloading
+      if (!(err instanceof FolderStoreError)) throw err;
+      console.log(chalk.gray(`   Skipped ${hotel.name || hotel.placeId}: ${err.message}`));
+    }
+  }
+  if (hotels.length) console.log(chalk.cyan(`   Saved folders: photos cached for ${saved} of ${hotels.length} hotels`));
+  console.log('');
+}
+
+export {
+  PHOTOS_DIR, cacheGooglePhotos, cacheGooglePhoto, lazyGooglePhotos, cacheTAPhotos, cachePortfolioPhotos, cacheHotelPhotos,
+  photoFile, writeStaticData, pruneStaticPhotos, exportStaticSite, main,
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(chalk.red('Fatal error:'), err);
+    process.exit(1);
+  });
+}
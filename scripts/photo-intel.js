@@ -0,0 +1,187 @@
+/**
+ * photo-intel.js
+ * Classifies every portfolio photo into a category (guest room, bathroom,
+ * lobby, pool, F&B, exterior, fitness), flags TripAdvisor photos older than
+ * PHOTO_STALE_YEARS (default 2) and scores each property's photo coverage:
+ * which categories have no photos at all, and which only have stale ones.
+ *
+ * Classification is caption-based. With PHOTO_VISION=1 and an Anthropic key,
+ * photos whose caption says nothing (all Google photos, most traveler shots)
+ * are sent to Claude vision from the local photo cache; answers are kept in
+ * data/photos/categories.json so each image is only classified once.
+ *
+ * fetch-all.js runs annotatePortfolioPhotos() after caching photos.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import fs from 'fs';
+import path from 'path';
+import { PHOTOS_DIR, photoFile } from './photo-cache.js';
+import { claudeMessage, BudgetExceededError } from './usage.js';
+
+const CATEGORIES_PATH = path.join(PHOTOS_DIR, 'categories.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checked in order — the first match wins, so specific places come before "room"
+const PHOTO_CATEGORIES = {
+  pool:     { label: 'Pool',       pattern: /\b(pool|poolside|swimming|hot ?tub|jacuzzi|whirlpool|spa)\b/i },
+  fitness:  { label: 'Fitness',    pattern: /\b(fitness|gym|workout|exercise|treadmill|weights)\b/i },
+  bathroom: { label: 'Bathroom',   pattern: /\b(bath(room)?s?|shower|bathtub|tub|vanity|toilet|restroom|sink)\b/i },
+  dining:   { label: 'F&B',        pattern: /\b(restaurant|bar|breakfast|dining|dinner|lunch|cafe|café|bistro|buffet|food|meal|coffee|drinks?|cocktails?|menu|grill)\b/i },
+  lobby:    { label: 'Lobby',      pattern: /\b(lobby|reception|front desk|check-?in|atrium|lounge)\b/i },
+  exterior: { label: 'Exterior',   pattern: /\b(exterior|outside|facade|façade|building|entrance|entry|hotel front|front of (the )?hotel|parking|courtyard|at night)\b/i },
+  room:     { label: 'Guest room', pattern: /\b(guest ?rooms?|bedroom|rooms?|suites?|king|queen|double|twin|beds?|studio)\b/i },
+};
+
+function config() {
+  return {
+    staleYears: parseFloat(process.env.PHOTO_STALE_YEARS || '2'),
+    vision: process.env.PHOTO_VISION === '1',
+  };
+}
+
+function classifyCaption(caption) {
+  if (!caption) return null;
+  for (const [key, def] of Object.entries(PHOTO_CATEGORIES)) {
+    if (def.pattern.test(caption)) return key;
+  }
+  return null;
+}
+
+// ─── Claude vision (optional) ────────────────────────────────────────────────
+
+function loadVisionCache() {
+  if (!fs.existsSync(CATEGORIES_PATH)) return {};
+  try { return JSON.parse(fs.readFileSync(CATEGORIES_PATH, 'utf8')); }
+  catch { return {}; }
+}
+
+function getVisionClient() {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey || apiKey === 'your_anthropic_api_key_here') return null;
+  return new Anthropic({ apiKey });
+}
+
+/**
+ * Ask Claude which category a cached image belongs to. Returns a category
+ * key, 'other', or null when the image isn't cached locally.
+ */
+async function classifyWithVision(client, hash) {
+  const file = photoFile(hash);
+  if (!file) return null;
+  const res = await claudeMessage(client, {
+    model: 'claude-haiku-4-5-20251001',
+    max_tokens: 16,
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: file.contentType, data: fs.readFileSync(file.path).toString('base64') } },
+        { type: 'text', text: `This is a hotel photo. Reply with exactly one word from this list: ${Object.keys(PHOTO_CATEGORIES).join(', ')}, other. (dining = restaurant, bar or food)` },
+      ],
+    }],
+  }, 'photo-classification');
+  const answer = (res.content[0]?.text || '').trim().toLowerCase().replace(/[^a-z]/g, '');
+  return PHOTO_CATEGORIES[answer] ? answer : 'other';
+}
+
+// ─── Annotation + coverage ───────────────────────────────────────────────────
+
+const hashOf = url => url?.match(/^\/api\/photos\/([a-f0-9]{32})$/)?.[1] || null;
+
+/**
+ * Score one property's photos. A category counts fully when it has at least
+ * one photo that isn't stale (undated Google photos count as current), half
+ * when every photo of it is stale, and not at all when it has none.
+ */
+function photoCoverage(photos) {
+  const categories = Object.fromEntries(Object.entries(PHOTO_CATEGORIES).map(([key, def]) => [key, {
+    label: def.label, count: 0, current: 0, stale: 0, newest: null,
+  }]));
+  for (const ph of photos) {
+    const c = categories[ph.category];
+    if (!c) continue;
+    c.count++;
+    if (ph.stale) c.stale++;
+    else c.current++;
+    if (ph.publishedDate && (!c.newest || ph.publishedDate > c.newest)) c.newest = ph.publishedDate;
+  }
+  const keys = Object.keys(categories);
+  const missing = keys.filter(k => !categories[k].count);
+  const staleOnly = keys.filter(k => categories[k].count && !categories[k].current);
+  const points = keys.reduce((n, k) => n + (categories[k].current ? 1 : categories[k].count ? 0.5 : 0), 0);
+  return {
+    score: Math.round((points / keys.length) * 100),
+    total: photos.length,
+    uncategorised: photos.filter(ph => !categories[ph.category]).length,
+    categories,
+    missing,
+    staleOnly,
+  };
+}
+
+/**
+ * Tag every Google and TripAdvisor photo of the merged portfolio with
+ * category/categorySource/ageDays/stale and attach entry.photoCoverage.
+ */
+async function annotatePortfolioPhotos(portfolio, cfg = config()) {
+  const now = Date.now();
+  const visionCache = loadVisionCache();
+  let client = cfg.vision ? getVisionClient() : null;
+  let visionCalls = 0;
+
+  const annotate = async (ph, url) => {
+    let category = classifyCaption(ph.caption);
+    let categorySource = category ? 'caption' : null;
+    const hash = hashOf(url);
+    if (!category && hash && visionCache[hash]) {
+      category = visionCache[hash];
+      categorySource = 'vision';
+    } else if (!category && hash && client) {
+      try {
+        const answer = await classifyWithVision(client, hash);
+        if (answer) {
+          visionCache[hash] = answer;
+          visionCalls++;
+          category = answer;
+          categorySource = 'vision';
+        }
+      } catch (err) {
+        console.error('[Claude] photo classification error:', err.message);
+        // Out of budget — leave the rest to caption matching until next month
+        if (err instanceof BudgetExceededError) client = null;
+      }
+    }
+    const published = ph.publishedDate ? Date.parse(ph.publishedDate) : NaN;
+    const ageDays = Number.isNaN(published) ? null : Math.floor((now - published) / DAY_MS);
+    return {
+      ...ph,
+      category: PHOTO_CATEGORIES[category] ? category : null,
+      categorySource,
+      ageDays,
+      stale: ageDays != null && ageDays > cfg.staleYears * 365,
+    };
+  };
+
+  // One photo at a time so vision mode never fires a burst of API calls
+  const annotateAll = async (photos, urlOf) => {
+    const out = [];
+    for (const ph of photos) out.push(await annotate(ph, urlOf(ph)));
+    return out;
+  };
+
+  for (const p of portfolio) {
+    const g = p.google && !p.google.error ? p.google : null;
+    const ta = p.tripadvisor && !p.tripadvisor.error ? p.tripadvisor : null;
+    if (g?.photos) g.photos = await annotateAll(g.photos, ph => ph.url);
+    if (ta?.photos) ta.photos = await annotateAll(ta.photos, ph => ph.images?.large);
+    p.photoCoverage = photoCoverage([...(g?.photos || []), ...(ta?.photos || [])]);
+  }
+
+  if (visionCalls) {
+    fs.mkdirSync(PHOTOS_DIR, { recursive: true });
+    fs.writeFileSync(CATEGORIES_PATH, JSON.stringify(visionCache, null, 2));
+  }
+  return { visionCalls };
+}
+
+export { PHOTO_CATEGORIES, classifyCaption, photoCoverage, annotatePortfolioPhotos };
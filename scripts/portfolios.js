@@ -0,0 +1,88 @@
+/**
+ * portfolios.js
+ * Named portfolios — one per fund. Each has its own property list, data
+ * directory (portfolio.json, metadata, history, review archive, aspects,
+ * alerts, property audit log) and static docs export. The photo cache
+ * (data/photos) and saved folders (data/folders.db) are shared.
+ *
+ * portfolios.json (optional, at the repo root):
+ *   [
+ *     { "id": "default", "name": "Core Fund" },
+ *     { "id": "fund-ii", "name": "Fund II" }
+ *   ]
+ * Each entry may also set "properties", "dataDir" and "docsDir" (relative to
+ * the repo root). By default the "default" portfolio keeps the original
+ * properties.json, data/ and docs/data/; any other id uses
+ * portfolios/<id>/properties.json, data/portfolios/<id>/ and
+ * docs/data/portfolios/<id>/.
+ *
+ * Without portfolios.json there is a single "default" portfolio, so existing
+ * setups keep working unchanged.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+const CONFIG_PATH = path.join(ROOT, 'portfolios.json');
+const DEFAULT_ID = 'default';
+const ID_RE = /^[a-z0-9][a-z0-9_-]*$/;
+
+function resolve(entry) {
+  const legacy = entry.id === DEFAULT_ID;
+  const rel = (value, fallback) => path.join(ROOT, value || fallback);
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    propertiesPath: rel(entry.properties, legacy ? 'properties.json' : path.join('portfolios', entry.id, 'properties.json')),
+    dataDir: rel(entry.dataDir, legacy ? 'data' : path.join('data', 'portfolios', entry.id)),
+    docsDataDir: rel(entry.docsDir, legacy ? path.join('docs', 'data') : path.join('docs', 'data', 'portfolios', entry.id)),
+  };
+}
+
+/**
+ * Every configured portfolio, in config order. Re-read on each call so
+ * portfolios.json can be edited without restarting the server.
+ */
+function listPortfolios() {
+  if (!fs.existsSync(CONFIG_PATH)) return [resolve({ id: DEFAULT_ID, name: 'Portfolio' })];
+  const entries = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  if (!Array.isArray(entries) || !entries.length) throw new Error('portfolios.json must be a non-empty array');
+  const seen = new Set();
+  return entries.map(entry => {
+    if (!entry || !ID_RE.test(entry.id || '')) throw new Error(`portfolios.json: invalid id "${entry?.id}" (use a-z, 0-9, - and _)`);
+    if (seen.has(entry.id)) throw new Error(`portfolios.json: duplicate id "${entry.id}"`);
+    seen.add(entry.id);
+    return resolve(entry);
+  });
+}
+
+/**
+ * One portfolio by id; without an id, the first configured one.
+ * Returns null for an unknown id.
+ */
+function getPortfolio(id) {
+  const all = listPortfolios();
+  if (id == null || id === '') return all[0];
+  return all.find(p => p.id === id) || null;
+}
+
+/**
+ * --portfolio <id> from the command line: that portfolio, or null when the
+ * flag is absent. Throws for an unknown id.
+ */
+function portfolioFromArgs(argv = process.argv) {
+  const i = argv.indexOf('--portfolio');
+  if (i === -1) return null;
+  const id = argv[i + 1];
+  const pf = id && !id.startsWith('--') ? getPortfolio(id) : null;
+  if (!pf) throw new Error(`Unknown portfolio "${id || ''}" — ids: ${listPortfolios().map(p => p.id).join(', ')}`);
+  return pf;
+}
+
+const dataFile = (pf, name) => path.join(pf.dataDir, name);
+
+export { DEFAULT_ID, listPortfolios, getPortfolio, portfolioFromArgs, dataFile };
@@ -0,0 +1,151 @@
+/**
+ * properties.js
+ * Read, validate and write properties.json — the list of portfolio hotels the
+ * fetchers work through — plus an append-only audit log of every change made
+ * through /api/properties.
+ *
+ * Each property:
+ *   { id, name, brand, city, state, address,
+ *     googleQuery, tripadvisorQuery,           — text searches used to find the hotel
+ *     googlePlaceId?, tripadvisorLocationId?,  — pinned IDs chosen in the admin screen
+ *     lat?, lng?,                              — known coordinates, used by match.js
+ *     compSet? }                               — see compset.js
+ *
+ * Every function works on one portfolio (see portfolios.js) — its property
+ * list and the properties-audit.jsonl in its data directory:
+ *   { at, action, propertyId, actor, before, after }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getPortfolio, dataFile } from './portfolios.js';
+
+const TEXT_FIELDS = ['name', 'brand', 'city', 'state', 'googleQuery', 'tripadvisorQuery', 'address'];
+const REQUIRED_FIELDS = ['name', 'city', 'state'];
+const PLACE_ID_RE = /^[A-Za-z0-9_-]{10,}$/;
+const LOCATION_ID_RE = /^\d+$/;
+
+/**
+ * A portfolio's property list — empty for a new portfolio without a file yet
+ */
+function loadProperties(pf = getPortfolio()) {
+  if (!fs.existsSync(pf.propertiesPath)) return [];
+  return JSON.parse(fs.readFileSync(pf.propertiesPath, 'utf8'));
+}
+
+/**
+ * Write via a temp file + rename so a crash never leaves half a properties.json
+ */
+function saveProperties(properties, pf = getPortfolio()) {
+  const tmp = `${pf.propertiesPath}.tmp`;
+  fs.mkdirSync(path.dirname(pf.propertiesPath), { recursive: true });
+  fs.writeFileSync(tmp, JSON.stringify(properties, null, 2) + '\n');
+  fs.renameSync(tmp, pf.propertiesPath);
+}
+
+const blank = v => v == null || (typeof v === 'string' && !v.trim());
+
+function validateCompSet(compSet, errors) {
+  if (!Array.isArray(compSet)) {
+    errors.push('compSet must be an array');
+    return [];
+  }
+  return compSet.map((c, i) => {
+    if (!c || blank(c.name)) errors.push(`compSet[${i}].name is required`);
+    if (c && blank(c.googlePlaceId) && blank(c.tripadvisorLocationId)) {
+      errors.push(`compSet[${i}] needs a googlePlaceId or tripadvisorLocationId`);
+    }
+    if (c && !blank(c.googlePlaceId) && !PLACE_ID_RE.test(c.googlePlaceId)) errors.push(`compSet[${i}].googlePlaceId is not a valid place ID`);
+    if (c && !blank(c.tripadvisorLocationId) && !LOCATION_ID_RE.test(String(c.tripadvisorLocationId))) errors.push(`compSet[${i}].tripadvisorLocationId must be numeric`);
+    return {
+      name: String(c?.name || '').trim(),
+      ...(!blank(c?.googlePlaceId) ? { googlePlaceId: c.googlePlaceId.trim() } : {}),
+      ...(!blank(c?.tripadvisorLocationId) ? { tripadvisorLocationId: String(c.tripadvisorLocationId).trim() } : {}),
+    };
+  });
+}
+
+/**
+ * Check a property body and normalise it. `existing` is the stored property
+ * for an update — fields missing from the body keep their current value, and
+ * null / "" clears an optional field (e.g. to un-pin an ID).
+ * Returns { property, errors }.
+ */
+function validateProperty(body, existing = null) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { property: null, errors: ['body must be a JSON object'] };
+
+  const known = new Set([...TEXT_FIELDS, 'googlePlaceId', 'tripadvisorLocationId', 'lat', 'lng', 'compSet', 'id']);
+  Object.keys(body).filter(k => !known.has(k)).forEach(k => errors.push(`unknown field "${k}"`));
+  if (existing && body.id !== undefined && Number(body.id) !== existing.id) errors.push('id cannot be changed');
+
+  const merged = { ...(existing || {}), ...body };
+  const property = existing ? { id: existing.id } : {};
+
+  for (const field of TEXT_FIELDS) {
+    const v = merged[field];
+    if (v != null && typeof v !== 'string') errors.push(`${field} must be a string`);
+    else if (!blank(v)) property[field] = v.trim();
+  }
+  REQUIRED_FIELDS.filter(f => blank(merged[f])).forEach(f => errors.push(`${f} is required`));
+  if (property.state && !/^[A-Z]{2}$/.test(property.state)) errors.push('state must be a 2-letter code (e.g. CO)');
+
+  if (!blank(merged.googlePlaceId)) {
+    if (!PLACE_ID_RE.test(merged.googlePlaceId)) errors.push('googlePlaceId is not a valid place ID');
+    else property.googlePlaceId = merged.googlePlaceId.trim();
+  }
+  if (!blank(merged.tripadvisorLocationId)) {
+    if (!LOCATION_ID_RE.test(String(merged.tripadvisorLocationId).trim())) errors.push('tripadvisorLocationId must be numeric');
+    else property.tripadvisorLocationId = String(merged.tripadvisorLocationId).trim();
+  }
+  for (const [field, limit] of [['lat', 90], ['lng', 180]]) {
+    const v = merged[field];
+    if (v == null || v === '') continue;
+    const n = Number(v);
+    if (!Number.isFinite(n) || Math.abs(n) > limit) errors.push(`${field} must be a number between -${limit} and ${limit}`);
+    else property[field] = n;
+  }
+  if ((property.lat == null) !== (property.lng == null)) errors.push('lat and lng must be set together');
+
+  // The fetchers need some way to find the hotel on each source
+  if (!property.googleQuery && !property.googlePlaceId) errors.push('googleQuery or googlePlaceId is required');
+  if (!property.tripadvisorQuery && !property.tripadvisorLocationId) errors.push('tripadvisorQuery or tripadvisorLocationId is required');
+
+  if (merged.compSet != null) {
+    const compSet = validateCompSet(merged.compSet, errors);
+    if (compSet.length) property.compSet = compSet;
+  }
+
+  return { property, errors };
+}
+
+function appendAudit(entry, pf = getPortfolio()) {
+  fs.mkdirSync(pf.dataDir, { recursive: true });
+  fs.appendFileSync(dataFile(pf, 'properties-audit.jsonl'), JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+}
+
+/**
+ * Audit entries, newest first. Malformed lines are skipped.
+ */
+function loadAudit(pf = getPortfolio()) {
+  const file = dataFile(pf, 'properties-audit.jsonl');
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => { try { return JSON.parse(line); } catch { return null; } })
+    .filter(Boolean)
+    .reverse();
+}
+
+/**
+ * The id for a new property: one more than any id ever used, in the list or
+ * in the audit log. A deleted property's id is never handed out again —
+ * history, the review archive and alerts are keyed by it.
+ */
+function nextPropertyId(properties, pf = getPortfolio()) {
+  const used = [...properties.map(p => p.id), ...loadAudit(pf).map(e => Number(e.propertyId))];
+  return Math.max(0, ...used.filter(Number.isInteger)) + 1;
+}
+
+export { loadProperties, saveProperties, validateProperty, appendAudit, loadAudit, nextPropertyId };
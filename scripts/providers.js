@@ -0,0 +1,204 @@
+/**
+ * providers.js
+ * One shared HTTP client per external API, used by the fetchers and the
+ * server routes alike:
+ *   google       — Google Places (keys passed per call)
+ *   tripadvisor  — TripAdvisor Content API (base URL + ?key= added here)
+ *   serpapi      — SerpAPI
+ *   photos       — image downloads (Google photo endpoint, TripAdvisor CDN)
+ *   tiles        — basemap tiles for the map in exported reports (CARTO)
+ *
+ * Each client wraps a usage.js client (call accounting + budgets) with:
+ *   - a token bucket per provider, instead of fixed sleeps between calls
+ *     (RATE_LIMIT_<PROVIDER> requests/second overrides the default)
+ *   - retries with exponential backoff and full jitter on network errors,
+ *     timeouts, 429 and 5xx — honouring Retry-After — up to HTTP_MAX_RETRIES
+ *     (default 3); Google's OVER_QUERY_LIMIT / UNKNOWN_ERROR bodies count too
+ *   - a default timeout
+ *   - a circuit breaker: after BREAKER_THRESHOLD consecutive failed calls the
+ *     provider is skipped for BREAKER_COOLDOWN_MS, then one trial call decides
+ *     whether it closes again. Calls refused meanwhile throw CircuitOpenError.
+ * 4xx responses other than 429 are the caller's problem and are not retried.
+ */
+
+import { createClient, BudgetExceededError } from './usage.js';
+
+const BREAKER_THRESHOLD = 5;
+const BREAKER_COOLDOWN_MS = 30000;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 15000;
+const RETRY_AFTER_MAX_MS = 60000;
+
+const PROVIDERS = {
+  google: {
+    label: 'Google Places',
+    rate: 5,
+    timeout: 15000,
+    // The legacy Places API reports throttling in a 200 body
+    retryableBody: data => ['OVER_QUERY_LIMIT', 'UNKNOWN_ERROR'].includes(data?.status),
+  },
+  tripadvisor: {
+    label: 'TripAdvisor API',
+    rate: 2,
+    timeout: 15000,
+    config: { baseURL: 'https://api.content.tripadvisor.com/api/v1', headers: { accept: 'application/json' } },
+    // Key must be passed as ?key= — read per call so .env changes and tests apply
+    params: () => ({ key: process.env.TRIPADVISOR_API_KEY }),
+  },
+  serpapi: { label: 'SerpAPI', rate: 1, timeout: 10000 },
+  photos: { label: 'Photo downloads', rate: 10, timeout: 20000 },
+  tiles: { label: 'Map tiles', rate: 10, timeout: 10000 },
+};
+
+class CircuitOpenError extends Error {
+  constructor(label, until) {
+    super(`${label} is failing — calls paused until ${new Date(until).toISOString().slice(11, 19)} UTC`);
+    this.name = 'CircuitOpenError';
+    this.status = 503;
+  }
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ─── Token bucket ────────────────────────────────────────────────────────────
+
+function tokenBucket(ratePerSecond) {
+  const capacity = Math.max(1, ratePerSecond);
+  let tokens = capacity;
+  let last = Date.now();
+  let chain = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / 1000) * ratePerSecond);
+    last = now;
+  };
+
+  // Waiters queue up in order so a burst can't starve anyone
+  return () => {
+    const turn = chain.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        refill();
+      }
+      tokens -= 1;
+    });
+    chain = turn.catch(() => {});
+    return turn;
+  };
+}
+
+// ─── Retry + circuit breaker ─────────────────────────────────────────────────
+
+function isRetryable(err) {
+  if (err instanceof BudgetExceededError) return false;
+  const status = err.response?.status;
+  if (!status) return true; // network error or timeout
+  return status === 429 || status >= 500;
+}
+
+function retryDelay(attempt, err) {
+  const retryAfter = err?.response?.headers?.['retry-after'];
+  if (retryAfter != null) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms > 0) return Math.min(ms, RETRY_AFTER_MAX_MS);
+  }
+  return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+function maxRetries() {
+  const n = parseInt(process.env.HTTP_MAX_RETRIES ?? '3', 10);
+  return Number.isFinite(n) && n >= 0 ? n : 3;
+}
+
+function buildClient(name, def) {
+  // Read on first use — the scripts load .env after their imports have run
+  const rate = () => {
+    const envRate = parseFloat(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '');
+    return envRate > 0 ? envRate : def.rate;
+  };
+  let take = null;
+  const axiosClient = createClient({ timeout: def.timeout, ...(def.config || {}) });
+  const breaker = { failures: 0, openUntil: 0, trial: false };
+  const stats = { calls: 0, retries: 0, failures: 0, breakerTrips: 0 };
+
+  const beforeCall = () => {
+    if (!breaker.openUntil) return;
+    if (Date.now() < breaker.openUntil || breaker.trial) throw new CircuitOpenError(def.label, Math.max(breaker.openUntil, Date.now()));
+    breaker.trial = true; // half-open: let this one call through
+  };
+  const succeeded = () => {
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+    breaker.trial = false;
+  };
+  const failed = () => {
+    stats.failures++;
+    breaker.failures++;
+    if (breaker.trial || breaker.failures >= BREAKER_THRESHOLD) {
+      if (!breaker.openUntil || breaker.trial) stats.breakerTrips++;
+      breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+      breaker.trial = false;
+    }
+  };
+
+  async function request(config) {
+    const retries = maxRetries();
+    const full = def.params ? { ...config, params: { ...def.params(), ...(config.params || {}) } } : config;
+    for (let attempt = 0; ; attempt++) {
+      beforeCall();
+      take ||= tokenBucket(rate());
+      await take();
+      stats.calls++;
+      let res;
+      let error;
+      try {
+        res = await axiosClient.request(full);
+      } catch (err) {
+        error = err;
+      }
+      const transient = error ? isRetryable(error) : !!def.retryableBody?.(res.data);
+      if (!transient) {
+        // A 4xx still means the API is up. A budget refusal never reached it,
+        // so a half-open trial stays untried and the next call gets it
+        if (!(error instanceof BudgetExceededError)) succeeded();
+        else breaker.trial = false;
+        if (error) throw error;
+        return res;
+      }
+      failed();
+      if (attempt >= retries || breaker.openUntil > Date.now()) {
+        if (error) throw error;
+        return res; // throttled body — the caller reports data.status
+      }
+      stats.retries++;
+      await sleep(retryDelay(attempt, error));
+    }
+  }
+
+  return {
+    name,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    stats: () => ({
+      label: def.label,
+      ratePerSecond: rate(),
+      ...stats,
+      circuit: breaker.openUntil > Date.now() ? 'open' : breaker.openUntil ? 'half-open' : 'closed',
+      consecutiveFailures: breaker.failures,
+    }),
+  };
+}
+
+const clients = Object.fromEntries(Object.entries(PROVIDERS).map(([name, def]) => [name, buildClient(name, def)]));
+
+const { google, tripadvisor, serpapi, photos, tiles } = clients;
+
+/**
+ * Per-client counters and circuit state since this process started
+ */
+const clientStats = () => Object.fromEntries(Object.entries(clients).map(([name, c]) => [name, c.stats()]));
+
+export { google, tripadvisor, serpapi, photos, tiles, clientStats, CircuitOpenError };
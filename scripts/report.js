@@ -0,0 +1,552 @@
+/**
+ * report.js
+ * Investment-committee packs: a multi-sheet XLSX and a printable PDF for one
+ * portfolio property, a whole portfolio or a saved folder — built on the
+ * server or from the command line, no browser involved.
+ *
+ * XLSX sheets: Summary, Subratings, Reviews, Photos (an index with links).
+ * PDF: a cover page with a map snapshot and the summary table, then one
+ * section per hotel — ratings, TripAdvisor subratings, review analysis,
+ * photos and the most recent reviews.
+ *
+ * The review analysis is the one saved with a folder hotel
+ * (cachedData.reviewAnalysis — usually Claude's); hotels without one get the
+ * offline lexicon analysis, so an export never calls Claude. Photos come from
+ * the local photo cache (photo-cache.js) — uncached Google photos are left out
+ * because their URLs carry the API key. The map is drawn from CARTO basemap
+ * tiles with numbered markers, and is skipped if the tiles can't be fetched.
+ *
+ * Run: npm run report -- --folder <id> | --property <id> | --all
+ *        [--portfolio <id>] [--format pdf|xlsx] [--out <file>]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { analyzeReviewsLocally } from './sentiment.js';
+import { photoFile } from './photo-cache.js';
+import { tiles } from './providers.js';
+import { getPortfolio, portfolioFromArgs, dataFile } from './portfolios.js';
+import { getFolder, allHotels } from './folder-store.js';
+
+const FORMATS = {
+  pdf: { contentType: 'application/pdf' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+const PDF_PHOTOS = 4;
+const PDF_REVIEWS = 5;
+const XLSX_MAX_CELL = 32000; // Excel's limit is 32,767 characters
+
+// ─── Packs ───────────────────────────────────────────────────────────────────
+// Every source is turned into the same hotel shape:
+//   { id, name, address, lat, lng, numRooms, lastFetched,
+//     google: { rating, totalRatings, url } | null,
+//     tripadvisor: { rating, numReviews, rankingString, priceLevel, url, subratings } | null,
+//     reviews: [{ source, date, rating, author, title, text, tripType }]  (newest first),
+//     photos: [{ source, url, caption }], analysis: { summary, top3best, top3worst, engine } | null }
+
+const googleReviews = reviews => (reviews || []).map(r => ({
+  source: 'Google', date: r.time ? new Date(r.time * 1000).toISOString() : null, rating: r.rating ?? null,
+  author: r.author || null, title: '', text: r.text || '', tripType: null,
+}));
+
+const taReviews = reviews => (reviews || []).map(r => ({
+  source: 'TripAdvisor', date: r.publishedDate || null, rating: r.rating ?? null,
+  author: r.user?.username || null, title: r.title || '', text: r.text || '', tripType: r.tripType || null,
+}));
+
+// Only cached copies — a raw Google photo URL has the API key in it
+const googlePhotos = photos => (photos || [])
+  .filter(ph => ph.url?.startsWith('/api/photos/'))
+  .map(ph => ({ source: 'Google', url: ph.url, caption: '' }));
+
+const taPhotos = photos => (photos || [])
+  .map(ph => ({ source: 'TripAdvisor', url: ph.images?.large || ph.images?.medium || ph.images?.original || null, caption: ph.caption || '' }))
+  .filter(ph => ph.url);
+
+function taSummary(ta) {
+  if (!ta || ta.error) return null;
+  return {
+    rating: ta.rating ?? null,
+    numReviews: Number(ta.numReviews) || null,
+    rankingString: ta.rankingString || null,
+    priceLevel: ta.priceLevel || null,
+    url: ta.tripadvisorUrl || null,
+    subratings: ta.subratings || {},
+  };
+}
+
+function withAnalysis(hotel, saved) {
+  hotel.reviews.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+  const combined = hotel.reviews.filter(r => r.text.trim()).slice(0, 25);
+  hotel.analysis = saved || (combined.length ? analyzeReviewsLocally(hotel.name, combined) : null);
+  return hotel;
+}
+
+function hotelFromProperty(p) {
+  const g = p.google && !p.google.error ? p.google : null;
+  const ta = p.tripadvisor && !p.tripadvisor.error ? p.tripadvisor : null;
+  return withAnalysis({
+    id: p.id,
+    name: p.name,
+    address: p.address || g?.address || ta?.address || null,
+    lat: g?.lat ?? ta?.lat ?? null,
+    lng: g?.lng ?? ta?.lng ?? null,
+    numRooms: ta?.numRooms ?? null,
+    lastFetched: g?.fetchedAt || ta?.fetchedAt || null,
+    google: g ? { rating: g.rating ?? null, totalRatings: g.totalRatings ?? null, url: g.googleMapsUrl || null } : null,
+    tripadvisor: taSummary(ta),
+    reviews: [...googleReviews(g?.reviews), ...taReviews(ta?.reviews)],
+    photos: [...googlePhotos(g?.photos), ...taPhotos(ta?.photos)],
+  }, null);
+}
+
+function hotelFromFolder(h) {
+  const c = h.cachedData || {};
+  return withAnalysis({
+    id: h.placeId,
+    name: h.name,
+    address: h.address || null,
+    lat: h.lat ?? null,
+    lng: h.lng ?? null,
+    numRooms: h.numRooms ?? c.tripadvisor?.numRooms ?? null,
+    lastFetched: h.lastFetched || null,
+    google: { rating: h.rating ?? null, totalRatings: h.totalRatings ?? null, url: c.googleMapsUrl || null },
+    tripadvisor: taSummary(c.tripadvisor),
+    reviews: [...googleReviews(c.reviews), ...taReviews(c.tripadvisor?.reviews)],
+    photos: [...googlePhotos(c.photos), ...taPhotos(c.tripadvisor?.photos)],
+  }, c.reviewAnalysis || null);
+}
+
+function loadPortfolioData(pf) {
+  const file = dataFile(pf, 'portfolio.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * The pack for a whole portfolio, or one property of it (`propertyId`).
+ * Null if there is no data yet or no such property.
+ */
+function portfolioPack(pf, propertyId = null) {
+  const data = loadPortfolioData(pf);
+  if (!data) return null;
+  const properties = propertyId == null ? data : data.filter(p => p.id === Number(propertyId));
+  if (!properties.length) return null;
+  return {
+    title: propertyId == null ? pf.name : properties[0].name,
+    subtitle: propertyId == null ? `Portfolio · ${properties.length} properties` : `${pf.name} portfolio`,
+    generatedAt: new Date().toISOString(),
+    hotels: properties.map(hotelFromProperty),
+  };
+}
+
+/**
+ * The pack for a saved folder, or null if there is no such folder
+ */
+function folderPack(folderId) {
+  const folder = getFolder(folderId);
+  if (!folder) return null;
+  const hotels = allHotels(folder.id).map(hotelFromFolder);
+  return {
+    title: folder.name,
+    subtitle: `Saved folder · ${hotels.length} hotel${hotels.length !== 1 ? 's' : ''}`,
+    generatedAt: new Date().toISOString(),
+    hotels,
+  };
+}
+
+// ─── XLSX ────────────────────────────────────────────────────────────────────
+
+const cellText = s => (s == null ? null : String(s).slice(0, XLSX_MAX_CELL));
+function link(url, baseUrl = '') {
+  if (!url) return null;
+  const href = url.startsWith('/') ? baseUrl + url : url;
+  return { text: href, hyperlink: href };
+}
+
+function addSheet(wb, name, columns, rows) {
+  const ws = wb.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  ws.columns = columns;
+  ws.getRow(1).font = { bold: true };
+  rows.forEach(r => ws.addRow(r));
+  ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+  return ws;
+}
+
+/**
+ * The pack as an .xlsx file. `baseUrl` makes cached photo links absolute.
+ */
+async function renderXlsx(pack, { baseUrl = '' } = {}) {
+  const wb = new ExcelJS.Workbook();
+  wb.creator = 'Portfolio Intel';
+  wb.title = pack.title;
+  wb.created = new Date(pack.generatedAt);
+
+  addSheet(wb, 'Summary', [
+    { header: 'Hotel', key: 'name', width: 34 },
+    { header: 'Address', key: 'address', width: 40 },
+    { header: 'Google rating', key: 'gRating', width: 13 },
+    { header: 'Google reviews', key: 'gReviews', width: 14 },
+    { header: 'TA rating', key: 'taRating', width: 10 },
+    { header: 'TA reviews', key: 'taReviews', width: 11 },
+    { header: 'TA ranking', key: 'ranking', width: 32 },
+    { header: 'Price level', key: 'price', width: 11 },
+    { header: 'Rooms', key: 'rooms', width: 8 },
+    { header: 'Review analysis', key: 'summary', width: 70 },
+    { header: 'Analysis engine', key: 'engine', width: 14 },
+    { header: 'Google Maps', key: 'gUrl', width: 30 },
+    { header: 'TripAdvisor', key: 'taUrl', width: 30 },
+    { header: 'Last fetched', key: 'fetched', width: 20 },
+  ], pack.hotels.map(h => ({
+    name: h.name, address: h.address,
+    gRating: h.google?.rating, gReviews: h.google?.totalRatings,
+    taRating: h.tripadvisor?.rating, taReviews: h.tripadvisor?.numReviews,
+    ranking: h.tripadvisor?.rankingString, price: h.tripadvisor?.priceLevel, rooms: h.numRooms,
+    summary: cellText(h.analysis?.summary), engine: h.analysis?.engine || null,
+    gUrl: link(h.google?.url), taUrl: link(h.tripadvisor?.url),
+    fetched: h.lastFetched ? new Date(h.lastFetched) : null,
+  })));
+
+  const subratingKeys = new Map();
+  pack.hotels.forEach(h => Object.entries(h.tripadvisor?.subratings || {}).forEach(([k, s]) => {
+    if (!subratingKeys.has(k)) subratingKeys.set(k, s.name || k);
+  }));
+  addSheet(wb, 'Subratings', [
+    { header: 'Hotel', key: 'name', width: 34 },
+    ...[...subratingKeys].map(([k, label]) => ({ header: label, key: k, width: 14 })),
+  ], pack.hotels.map(h => ({
+    name: h.name,
+    ...Object.fromEntries([...subratingKeys.keys()].map(k => [k, h.tripadvisor?.subratings?.[k]?.value ?? null])),
+  })));
+
+  const reviews = addSheet(wb, 'Reviews', [
+    { header: 'Hotel', key: 'name', width: 30 },
+    { header: 'Source', key: 'source', width: 12 },
+    { header: 'Date', key: 'date', width: 12 },
+    { header: 'Rating', key: 'rating', width: 8 },
+    { header: 'Author', key: 'author', width: 18 },
+    { header: 'Title', key: 'title', width: 30 },
+    { header: 'Review', key: 'text', width: 90 },
+    { header: 'Trip type', key: 'tripType', width: 12 },
+  ], pack.hotels.flatMap(h => h.reviews.map(r => ({
+    name: h.name, source: r.source, date: r.date ? new Date(r.date) : null, rating: r.rating,
+    author: r.author, title: cellText(r.title), text: cellText(r.text), tripType: r.tripType,
+  }))));
+  reviews.getColumn('date').numFmt = 'yyyy-mm-dd';
+  reviews.getColumn('text').alignment = { wrapText: true, vertical: 'top' };
+
+  addSheet(wb, 'Photos', [
+    { header: 'Hotel', key: 'name', width: 30 },
+    { header: 'Source', key: 'source', width: 12 },
+    { header: 'Caption', key: 'caption', width: 40 },
+    { header: 'URL', key: 'url', width: 70 },
+  ], pack.hotels.flatMap(h => h.photos.map(ph => ({
+    name: h.name, source: ph.source, caption: cellText(ph.caption), url: link(ph.url, baseUrl),
+  }))));
+
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+// ─── Map snapshot ────────────────────────────────────────────────────────────
+
+const TILE = 256;
+const MAP_MAX_ZOOM = 15;
+const MAP_PADDING = 24;
+
+function project(lat, lng, zoom) {
+  const size = TILE * 2 ** zoom;
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return { x: ((lng + 180) / 360) * size, y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size };
+}
+
+/**
+ * Tiles and marker positions for a width × height map around `points`
+ * ({ lat, lng, label }), at the closest zoom that fits them all
+ */
+async function fetchMap(points, width, height) {
+  let zoom = MAP_MAX_ZOOM;
+  let px;
+  for (; zoom > 1; zoom--) {
+    px = points.map(p => project(p.lat, p.lng, zoom));
+    const xs = px.map(p => p.x);
+    const ys = px.map(p => p.y);
+    if (Math.max(...xs) - Math.min(...xs) <= width - 2 * MAP_PADDING && Math.max(...ys) - Math.min(...ys) <= height - 2 * MAP_PADDING) break;
+  }
+  px = points.map(p => project(p.lat, p.lng, zoom));
+  const xs = px.map(p => p.x);
+  const ys = px.map(p => p.y);
+  const left = (Math.min(...xs) + Math.max(...xs)) / 2 - width / 2;
+  const top = (Math.min(...ys) + Math.max(...ys)) / 2 - height / 2;
+  const n = 2 ** zoom;
+
+  const wanted = [];
+  for (let tx = Math.floor(left / TILE); tx <= Math.floor((left + width) / TILE); tx++) {
+    for (let ty = Math.floor(top / TILE); ty <= Math.floor((top + height) / TILE); ty++) {
+      if (ty >= 0 && ty < n) wanted.push({ tx, ty });
+    }
+  }
+  // @2x tiles drawn at 256pt print at 144 dpi
+  const images = await Promise.all(wanted.map(async ({ tx, ty }) => {
+    const url = `https://${'abcd'[Math.abs(tx + ty) % 4]}.basemaps.cartocdn.com/light_all/${zoom}/${((tx % n) + n) % n}/${ty}@2x.png`;
+    const res = await tiles.get(url, { responseType: 'arraybuffer' });
+    return { image: Buffer.from(res.data), dx: tx * TILE - left, dy: ty * TILE - top };
+  }));
+  return { tiles: images, markers: px.map((p, i) => ({ x: p.x - left, y: p.y - top, label: points[i].label })) };
+}
+
+// ─── PDF ─────────────────────────────────────────────────────────────────────
+
+const COLORS = { text: '#1f2937', muted: '#6b7280', accent: '#1d4ed8', good: '#15803d', bad: '#b91c1c', rule: '#d1d5db' };
+
+// The standard PDF fonts only cover Latin-1 plus a few symbols — drop the rest
+// (emoji, CJK) rather than print garbage
+const pdfText = s => String(s ?? '')
+  .replace(/[‘’]/g, "'").replace(/[“”]/g, '"').replace(/[–—]/g, '-').replace(/…/g, '...')
+  .replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF]/g, '');
+
+const fmt = (v, digits = 1) => (typeof v === 'number' ? v.toFixed(digits) : '-');
+const fmtCount = v => (typeof v === 'number' ? v.toLocaleString('en-US') : '-');
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function heading(doc, text, size = 12) {
+  ensureSpace(doc, size * 3);
+  doc.moveDown(0.6).font('Helvetica-Bold').fontSize(size).fillColor(COLORS.text).text(pdfText(text));
+  doc.moveDown(0.2);
+}
+
+function drawMap(doc, map, x, y, width, height) {
+  doc.save();
+  doc.rect(x, y, width, height).clip();
+  map.tiles.forEach(t => doc.image(t.image, x + t.dx, y + t.dy, { width: TILE, height: TILE }));
+  map.markers.forEach(m => {
+    doc.circle(x + m.x, y + m.y, 8).lineWidth(1.5).fillAndStroke(COLORS.accent, '#ffffff');
+    doc.font('Helvetica-Bold').fontSize(8).fillColor('#ffffff')
+      .text(m.label, x + m.x - 8, y + m.y - 3.5, { width: 16, align: 'center', lineBreak: false });
+  });
+  doc.restore();
+  doc.rect(x, y, width, height).lineWidth(0.5).stroke(COLORS.rule);
+  doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+    .text('(c) OpenStreetMap contributors (c) CARTO', x, y + height + 3, { width, align: 'right' });
+}
+
+function summaryTable(doc, hotels) {
+  const x = doc.page.margins.left;
+  const cols = [
+    { label: '#', width: 22 }, { label: 'Hotel', width: 215 }, { label: 'Google', width: 80 },
+    { label: 'TripAdvisor', width: 90 }, { label: 'Rooms', width: 45 }, { label: 'Price', width: 47 },
+  ];
+  const row = (cells, bold = false) => {
+    ensureSpace(doc, 18);
+    const y = doc.y;
+    let cx = x;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(bold ? COLORS.muted : COLORS.text);
+    cells.forEach((c, i) => {
+      doc.text(pdfText(c), cx, y, { width: cols[i].width - 6, lineBreak: false, ellipsis: true });
+      cx += cols[i].width;
+    });
+    doc.moveTo(x, y + 14).lineTo(cx, y + 14).lineWidth(0.5).stroke(COLORS.rule);
+    doc.x = x;
+    doc.y = y + 18;
+  };
+  row(cols.map(c => c.label), true);
+  hotels.forEach((h, i) => row([
+    String(i + 1), h.name,
+    h.google?.rating != null ? `${fmt(h.google.rating)} (${fmtCount(h.google.totalRatings)})` : '-',
+    h.tripadvisor?.rating != null ? `${fmt(h.tripadvisor.rating)} (${fmtCount(h.tripadvisor.numReviews)})` : '-',
+    h.numRooms != null ? String(h.numRooms) : '-',
+    h.tripadvisor?.priceLevel || '-',
+  ]));
+}
+
+function subratingBars(doc, subratings) {
+  const entries = Object.values(subratings || {}).filter(s => typeof s.value === 'number');
+  if (!entries.length) return;
+  heading(doc, 'TripAdvisor subratings', 11);
+  const x = doc.page.margins.left;
+  entries.forEach(s => {
+    ensureSpace(doc, 16);
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text).text(pdfText(s.name), x, y, { width: 130, lineBreak: false });
+    doc.rect(x + 135, y + 1, 200, 8).fill('#e5e7eb');
+    doc.rect(x + 135, y + 1, (200 * Math.max(0, Math.min(5, s.value))) / 5, 8).fill(COLORS.accent);
+    doc.fillColor(COLORS.text).text(fmt(s.value), x + 345, y, { lineBreak: false });
+    doc.x = x;
+    doc.y = y + 15;
+  });
+}
+
+function analysisSection(doc, analysis) {
+  if (!analysis?.summary) return;
+  const engine = analysis.engine === 'claude' ? 'Claude' : 'offline lexicon scorer';
+  heading(doc, `Review analysis (${engine})`, 11);
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(pdfText(analysis.summary));
+  const quotes = (label, list, color) => {
+    if (!list?.length) return;
+    doc.moveDown(0.4).font('Helvetica-Bold').fontSize(9).fillColor(color).text(label);
+    list.forEach(q => {
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.text)
+        .text(pdfText(`- "${q.quote}" - ${q.author || 'Guest'} (${q.source}${q.rating != null ? `, ${q.rating}/5` : ''})`), { indent: 8 });
+    });
+  };
+  quotes('Highlights', analysis.top3best, COLORS.good);
+  quotes('Concerns', analysis.top3worst, COLORS.bad);
+}
+
+function photoGrid(doc, photos) {
+  const files = photos
+    .map(ph => ({ ...ph, file: ph.url.startsWith('/api/photos/') ? photoFile(ph.url.split('/').pop()) : null }))
+    .filter(ph => ph.file && /image\/(jpeg|png)/.test(ph.file.contentType))
+    .slice(0, PDF_PHOTOS);
+  if (!files.length) return;
+  heading(doc, 'Photos', 11);
+  const x = doc.page.margins.left;
+  const gap = 10;
+  const width = (doc.page.width - doc.page.margins.left - doc.page.margins.right - gap) / 2;
+  const height = width * 0.66;
+  for (let i = 0; i < files.length; i += 2) {
+    ensureSpace(doc, height + gap);
+    const y = doc.y;
+    files.slice(i, i + 2).forEach((ph, j) => {
+      try {
+        doc.image(ph.file.path, x + j * (width + gap), y, { fit: [width, height], align: 'center', valign: 'center' });
+      } catch { /* unreadable image — leave the slot empty */ }
+    });
+    doc.x = x;
+    doc.y = y + height + gap;
+  }
+}
+
+function recentReviews(doc, reviews) {
+  const recent = reviews.filter(r => r.text.trim()).slice(0, PDF_REVIEWS);
+  if (!recent.length) return;
+  heading(doc, 'Recent reviews', 11);
+  recent.forEach(r => {
+    ensureSpace(doc, 50);
+    const meta = [r.rating != null ? `${r.rating}/5` : null, r.source, r.date?.slice(0, 10), r.author, r.tripType].filter(Boolean).join(' · ');
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text(pdfText(meta));
+    if (r.title) doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text).text(pdfText(r.title));
+    const text = r.text.length > 600 ? `${r.text.slice(0, 600)}...` : r.text;
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.text).text(pdfText(text));
+    doc.moveDown(0.5);
+  });
+}
+
+function hotelSection(doc, h, number) {
+  doc.addPage();
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.text).text(pdfText(`${number}. ${h.name}`));
+  if (h.address) doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(pdfText(h.address));
+  const facts = [
+    h.google?.rating != null ? `Google ${fmt(h.google.rating)} (${fmtCount(h.google.totalRatings)} reviews)` : null,
+    h.tripadvisor?.rating != null ? `TripAdvisor ${fmt(h.tripadvisor.rating)} (${fmtCount(h.tripadvisor.numReviews)} reviews)` : null,
+    h.numRooms != null ? `${h.numRooms} rooms` : null,
+    h.tripadvisor?.priceLevel ? `Price ${h.tripadvisor.priceLevel}` : null,
+  ].filter(Boolean);
+  doc.moveDown(0.4).font('Helvetica').fontSize(10).fillColor(COLORS.text).text(pdfText(facts.join('   ·   ') || 'No ratings yet'));
+  if (h.tripadvisor?.rankingString) doc.fontSize(10).fillColor(COLORS.muted).text(pdfText(h.tripadvisor.rankingString));
+  if (h.lastFetched) doc.fontSize(8).fillColor(COLORS.muted).text(`Data as of ${h.lastFetched.slice(0, 10)}`);
+
+  subratingBars(doc, h.tripadvisor?.subratings);
+  analysisSection(doc, h.analysis);
+  photoGrid(doc, h.photos);
+  recentReviews(doc, h.reviews);
+}
+
+/**
+ * The pack as a PDF: cover with map and summary table, then a section per hotel
+ */
+async function renderPdf(pack) {
+  const doc = new PDFDocument({ size: 'A4', margin: 48, bufferPages: true, info: { Title: pack.title, Author: 'Portfolio Intel' } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => doc.on('end', resolve));
+
+  doc.font('Helvetica-Bold').fontSize(24).fillColor(COLORS.text).text(pdfText(pack.title));
+  doc.font('Helvetica').fontSize(11).fillColor(COLORS.muted)
+    .text(pdfText(`${pack.subtitle} · generated ${pack.generatedAt.slice(0, 10)}`));
+  doc.moveDown(1);
+
+  const points = pack.hotels
+    .map((h, i) => ({ lat: h.lat, lng: h.lng, label: String(i + 1) }))
+    .filter(p => typeof p.lat === 'number' && typeof p.lng === 'number');
+  if (points.length) {
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const height = 260;
+    try {
+      const map = await fetchMap(points, width, height);
+      drawMap(doc, map, doc.page.margins.left, doc.y, width, height);
+      doc.y += height + 20;
+    } catch (err) {
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(pdfText(`Map unavailable: ${err.message}`));
+      doc.moveDown(1);
+    }
+  }
+  summaryTable(doc, pack.hotels);
+  pack.hotels.forEach((h, i) => hotelSection(doc, h, i + 1));
+
+  // Footers last, once the page count is known. Writing inside the bottom
+  // margin would start a new page, so lift it while we do.
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(pdfText(`${pack.title} · page ${i + 1} of ${count}`), doc.page.margins.left, doc.page.height - 30,
+        { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+  doc.end();
+  await finished;
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Render a pack — returns { body, contentType, filename }
+ */
+async function renderPack(pack, format, options = {}) {
+  if (!FORMATS[format]) throw new Error(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  const body = format === 'pdf' ? await renderPdf(pack) : await renderXlsx(pack, options);
+  const slug = pack.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+  return { body, contentType: FORMATS[format].contentType, filename: `${slug}-${pack.generatedAt.slice(0, 10)}.${format}` };
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+async function main(argv = process.argv) {
+  const arg = name => {
+    const i = argv.indexOf(name);
+    return i !== -1 ? argv[i + 1] : undefined;
+  };
+  const format = arg('--format') || 'pdf';
+  let pack;
+  if (arg('--folder')) {
+    pack = folderPack(arg('--folder'));
+    if (!pack) throw new Error(`No folder "${arg('--folder')}"`);
+  } else if (arg('--property') || argv.includes('--all')) {
+    const pf = portfolioFromArgs() || getPortfolio();
+    pack = portfolioPack(pf, arg('--property') ?? null);
+    if (!pack) throw new Error(arg('--property') ? `No property ${arg('--property')} in ${pf.name} (has it been fetched?)` : `No data for ${pf.name} yet — run npm run fetch`);
+  } else {
+    console.log('Usage: npm run report -- --folder <id> | --property <id> | --all [--portfolio <id>] [--format pdf|xlsx] [--out <file>]');
+    return;
+  }
+  const { body, filename } = await renderPack(pack, format);
+  const out = arg('--out') || filename;
+  fs.writeFileSync(out, body);
+  console.log(chalk.green(`Wrote ${out} (${Math.round(body.length / 1024)} KB)`));
+}
+
+export { FORMATS, portfolioPack, folderPack, renderPack, main };
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    console.error(chalk.red('Error:'), err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,199 @@
+/**
+ * response-cache.js
+ * TTL cache for the live lookup routes — /api/search, /api/hotel,
+ * /api/ta-search and /api/ta-hotel — so typing a search again or reopening a
+ * comp looked up a minute ago doesn't call Google or TripAdvisor again.
+ *
+ * Entries live in memory, one LRU map per route, keyed by the route's
+ * normalised params. Only 200 responses are stored.
+ *
+ * Per-route settings (.env):
+ *   CACHE_TTL_<ROUTE>          seconds; 0 turns caching off for that route
+ *   CACHE_MAX_ENTRIES_<ROUTE>  oldest-used entries are dropped beyond this
+ * where ROUTE is SEARCH, HOTEL, TA_SEARCH or TA_HOTEL. Defaults are in ROUTES.
+ * RESPONSE_CACHE_PERSIST=1 also keeps the entries in data/response-cache.json,
+ * so they survive a restart.
+ *
+ * Request headers that skip the cache:
+ *   Cache-Control: no-cache  (or X-Cache-Bypass: 1) — fetch fresh, store the result
+ *   Cache-Control: no-store  — fetch fresh, store nothing
+ * Responses carry X-Cache: HIT | MISS | BYPASS, and Age on hits.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CACHE_PATH = path.join(__dirname, '..', 'data', 'response-cache.json');
+const PERSIST_DELAY_MS = 2000;
+
+// Search results barely move within the hour; hotel details change with new
+// reviews, so a few hours is as stale as they should get
+const ROUTES = {
+  search: { ttl: 60 * 60, maxEntries: 500 },
+  hotel: { ttl: 6 * 60 * 60, maxEntries: 300 },
+  'ta-search': { ttl: 60 * 60, maxEntries: 500 },
+  'ta-hotel': { ttl: 6 * 60 * 60, maxEntries: 300 },
+};
+
+const stores = Object.fromEntries(Object.keys(ROUTES).map(route => [route, new Map()]));
+const stats = Object.fromEntries(Object.keys(ROUTES).map(route => [route, { hits: 0, misses: 0, bypasses: 0, evictions: 0 }]));
+const startedAt = new Date().toISOString();
+let loaded = false;
+let persistTimer = null;
+
+// Read on use — the server loads .env after its imports have run
+function routeConfig(route) {
+  const env = name => {
+    const n = parseInt(process.env[`CACHE_${name}_${route.toUpperCase().replace(/-/g, '_')}`] ?? '', 10);
+    return Number.isFinite(n) && n >= 0 ? n : undefined;
+  };
+  return { ttl: env('TTL') ?? ROUTES[route].ttl, maxEntries: env('MAX_ENTRIES') ?? ROUTES[route].maxEntries };
+}
+
+const persistEnabled = () => process.env.RESPONSE_CACHE_PERSIST === '1';
+
+/**
+ * A search query as a cache key — case and spacing don't change the results
+ */
+const normaliseQuery = q => String(q || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+
+function load() {
+  if (loaded) return;
+  loaded = true;
+  if (!persistEnabled() || !fs.existsSync(CACHE_PATH)) return;
+  try {
+    const saved = JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8'));
+    const now = Date.now();
+    for (const [route, entries] of Object.entries(saved.routes || {})) {
+      if (!stores[route]) continue;
+      for (const [key, entry] of entries) if (entry.expiresAt > now) stores[route].set(key, entry);
+    }
+  } catch (err) {
+    console.error(`[cache] Ignoring unreadable ${path.basename(CACHE_PATH)}: ${err.message}`);
+  }
+}
+
+// Batched — a burst of lookups becomes one write
+function schedulePersist() {
+  if (!persistEnabled() || persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    const routes = Object.fromEntries(Object.entries(stores).map(([route, store]) => [route, [...store]]));
+    try {
+      fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+      const tmp = `${CACHE_PATH}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), routes }));
+      fs.renameSync(tmp, CACHE_PATH);
+    } catch (err) {
+      console.error(`[cache] Could not save ${path.basename(CACHE_PATH)}: ${err.message}`);
+    }
+  }, PERSIST_DELAY_MS);
+  persistTimer.unref();
+}
+
+// ─── Store ───────────────────────────────────────────────────────────────────
+
+function lookup(route, key) {
+  load();
+  const store = stores[route];
+  const entry = store.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    store.delete(key);
+    schedulePersist();
+    return null;
+  }
+  // Re-insert so the map stays in least-recently-used order
+  store.delete(key);
+  store.set(key, entry);
+  return entry;
+}
+
+function save(route, key, body, { ttl, maxEntries }) {
+  load();
+  const store = stores[route];
+  store.delete(key);
+  store.set(key, { body, storedAt: Date.now(), expiresAt: Date.now() + ttl * 1000 });
+  while (store.size > maxEntries) {
+    store.delete(store.keys().next().value);
+    stats[route].evictions++;
+  }
+  schedulePersist();
+}
+
+/**
+ * Express middleware caching one route's JSON responses.
+ * `keyOf(req)` returns the cache key, or null for requests not worth caching.
+ */
+function cacheResponse(route, keyOf) {
+  if (!ROUTES[route]) throw new Error(`Unknown cache route "${route}"`);
+  return (req, res, next) => {
+    const config = routeConfig(route);
+    const key = keyOf(req);
+    if (!config.ttl || !config.maxEntries || key == null || key === '') return next();
+
+    const directives = String(req.get('cache-control') || '').toLowerCase();
+    const noStore = directives.includes('no-store');
+    const bypass = noStore || directives.includes('no-cache') || req.get('x-cache-bypass') === '1';
+
+    if (bypass) {
+      stats[route].bypasses++;
+      res.set('X-Cache', 'BYPASS');
+    } else {
+      const hit = lookup(route, key);
+      if (hit) {
+        stats[route].hits++;
+        res.set({ 'X-Cache': 'HIT', Age: String(Math.floor((Date.now() - hit.storedAt) / 1000)) });
+        return res.json(hit.body);
+      }
+      stats[route].misses++;
+      res.set('X-Cache', 'MISS');
+    }
+    if (noStore) return next();
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode === 200) save(route, key, body, config);
+      return json(body);
+    };
+    next();
+  };
+}
+
+/**
+ * Hit/miss counters since the server started, plus each route's settings
+ */
+function cacheStats() {
+  load();
+  const routes = Object.fromEntries(Object.keys(ROUTES).map(route => {
+    const s = stats[route];
+    const lookups = s.hits + s.misses;
+    const { ttl, maxEntries } = routeConfig(route);
+    return [route, {
+      ttlSeconds: ttl, maxEntries, entries: stores[route].size, ...s,
+      hitRate: lookups ? Math.round((s.hits / lookups) * 1000) / 1000 : null,
+    }];
+  }));
+  return { since: startedAt, persist: persistEnabled(), routes };
+}
+
+/**
+ * Drop every entry, or one route's. Returns how many were removed.
+ */
+function clearCache(route = null) {
+  load();
+  if (route && !ROUTES[route]) throw new Error(`route must be one of: ${Object.keys(ROUTES).join(', ')}`);
+  let removed = 0;
+  for (const name of route ? [route] : Object.keys(ROUTES)) {
+    removed += stores[name].size;
+    stores[name].clear();
+  }
+  schedulePersist();
+  return removed;
+}
+
+export { cacheResponse, normaliseQuery, cacheStats, clearCache };
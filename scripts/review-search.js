@@ -0,0 +1,146 @@
+/**
+ * review-search.js
+ * Full-text search over every review we hold — one portfolio's properties
+ * (its portfolio.json) and saved folder hotels (data/folders.db).
+ *
+ * Query syntax: space-separated terms, all of which must appear in the review
+ * title or text (case-insensitive); "double quotes" match an exact phrase.
+ *   bed bugs            → reviews mentioning both "bed" and "bugs"
+ *   "construction noise" → the phrase
+ *
+ * Results come back newest first with a snippet around the first match and
+ * the character ranges to highlight, so the client can escape before marking.
+ */
+
+import { collectEntities } from './tag-aspects.js';
+import { getPortfolio } from './portfolios.js';
+
+const SNIPPET_RADIUS = 120;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Split a query into terms, keeping quoted phrases together. Case is left
+ * as typed; termPattern does the case-insensitive matching.
+ */
+function parseQuery(q) {
+  const terms = [];
+  const re = /"([^"]+)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(q || ''))) {
+    const term = (m[1] || m[2]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Case-insensitive pattern for one term. Matching runs on the original text:
+ * lower-casing it first can change its length ("İ" becomes two code units)
+ * and shift every highlight after that character.
+ */
+const termPattern = term => new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+
+/**
+ * Every [start, end) range where a term occurs, merged where they overlap
+ */
+function matchRanges(text, patterns) {
+  const ranges = [];
+  for (const re of patterns) {
+    for (const m of text.matchAll(re)) ranges.push([m.index, m.index + m[0].length]);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((out, r) => {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([...r]);
+    return out;
+  }, []);
+}
+
+/**
+ * Cut a window around the first match; highlight ranges are re-based onto it
+ */
+function buildSnippet(text, ranges) {
+  if (!ranges.length) {
+    const snippet = text.length > SNIPPET_RADIUS * 2 ? text.slice(0, SNIPPET_RADIUS * 2) + '…' : text;
+    return { snippet, highlights: [] };
+  }
+  let start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  let end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < ranges[0][0]) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > ranges[0][1]) end = space;
+  }
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const highlights = ranges
+    .filter(([s, e]) => s >= start && e <= end)
+    .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+  return { snippet: prefix + text.slice(start, end) + suffix, highlights };
+}
+
+/**
+ * Search reviews.
+ *   { q, source, minRating, maxRating, propertyId, tripType, from, to, page, pageSize }
+ * Returns { total, page, pageSize, pages, results }
+ */
+function searchReviews(params = {}, pf = getPortfolio()) {
+  const patterns = parseQuery(params.q).map(termPattern);
+  const minRating = params.minRating != null && params.minRating !== '' ? parseFloat(params.minRating) : null;
+  const maxRating = params.maxRating != null && params.maxRating !== '' ? parseFloat(params.maxRating) : null;
+  const tripType = params.tripType ? String(params.tripType).toLowerCase() : null;
+  const from = params.from ? String(params.from).slice(0, 10) : null;
+  const to = params.to ? String(params.to).slice(0, 10) : null;
+  const pageSize = Math.min(Math.max(parseInt(params.pageSize) || 20, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(params.page) || 1, 1);
+
+  const results = [];
+  for (const e of collectEntities(pf)) {
+    if (params.propertyId && String(e.propertyId) !== String(params.propertyId)) continue;
+    for (const r of e.reviews) {
+      if (params.source && r.source !== params.source) continue;
+      if (minRating != null && !(r.rating >= minRating)) continue;
+      if (maxRating != null && !(r.rating <= maxRating)) continue;
+      if (tripType && (r.tripType || '').toLowerCase() !== tripType) continue;
+      const day = (r.date || '').slice(0, 10);
+      if ((from || to) && !day) continue;
+      if (from && day < from) continue;
+      if (to && day > to) continue;
+
+      const haystack = `${r.title}\n${r.text}`;
+      if (!patterns.every(re => haystack.search(re) !== -1)) continue;
+
+      const { snippet, highlights } = buildSnippet(r.text, matchRanges(r.text, patterns));
+      const { text, ...review } = r;
+      results.push({
+        entity: e.key,
+        kind: e.kind,
+        propertyId: e.propertyId ?? null,
+        folderId: e.folderId ?? null,
+        placeId: e.placeId ?? null,
+        hotelName: e.name,
+        group: e.group,
+        ...review,
+        titleHighlights: matchRanges(r.title, patterns),
+        snippet,
+        highlights,
+      });
+    }
+  }
+
+  results.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  return {
+    total: results.length,
+    page,
+    pageSize,
+    pages: Math.ceil(results.length / pageSize),
+    results: results.slice((page - 1) * pageSize, page * pageSize),
+  };
+}
+
+export { parseQuery, searchReviews };
@@ -0,0 +1,84 @@
+/**
+ * review-store.js
+ * Local review archive with de-duplication across fetches.
+ *
+ *   - TripAdvisor reviews are keyed by review id       → "ta:<id>"
+ *   - Google reviews are keyed by a hash of author+time → "g:<sha1 prefix>"
+ *
+ * Google only returns 5 reviews per Place Details call, so keeping every review
+ * we have ever seen lets the corpus grow run over run. fetch-tripadvisor.js
+ * uses hasReview() to stop paginating at the first review it already has.
+ *
+ * File: reviews.jsonl in each portfolio's data directory — one line per review:
+ *   { key, source, propertyId, sourceId, firstSeenAt, review }
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getPortfolio, dataFile } from './portfolios.js';
+
+const reviewsPath = pf => dataFile(pf, 'reviews.jsonl');
+
+/**
+ * Stable identity for a review from either source
+ */
+function reviewKey(source, review) {
+  if (source === 'tripadvisor') return `ta:${review.id}`;
+  const hash = crypto.createHash('sha1').update(`${review.author ?? ''}|${review.time ?? ''}`).digest('hex');
+  return `g:${hash.slice(0, 16)}`;
+}
+
+/**
+ * Read a portfolio's archive into memory: { file, records: Map<key, record> }
+ */
+function loadReviewStore(pf = getPortfolio()) {
+  const store = { file: reviewsPath(pf), records: new Map() };
+  if (!fs.existsSync(store.file)) return store;
+  fs.readFileSync(store.file, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const rec = JSON.parse(line);
+      store.records.set(rec.key, rec);
+    } catch { /* skip a torn last line from a crashed run */ }
+  });
+  return store;
+}
+
+function hasReview(store, source, review) {
+  return store.records.has(reviewKey(source, review));
+}
+
+/**
+ * Append reviews we haven't seen before. Returns how many were new.
+ */
+function addReviews(store, { source, propertyId, sourceId }, reviews) {
+  const now = new Date().toISOString();
+  const fresh = [];
+  for (const review of reviews) {
+    const key = reviewKey(source, review);
+    if (store.records.has(key)) continue;
+    const rec = { key, source, propertyId, sourceId: String(sourceId), firstSeenAt: now, review };
+    store.records.set(key, rec);
+    fresh.push(rec);
+  }
+  if (fresh.length) {
+    fs.mkdirSync(path.dirname(store.file), { recursive: true });
+    fs.appendFileSync(store.file, fresh.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+  return fresh.length;
+}
+
+/**
+ * Every archived review for one property from one place/location, newest first.
+ * Filtering on sourceId drops reviews left over from a previously mismatched hotel.
+ */
+function propertyReviews(store, { source, propertyId, sourceId }) {
+  const dateOf = r => source === 'tripadvisor' ? Date.parse(r.publishedDate) || 0 : (r.time || 0) * 1000;
+  return [...store.records.values()]
+    .filter(rec => rec.source === source && rec.propertyId === propertyId && rec.sourceId === String(sourceId))
+    .map(rec => rec.review)
+    .sort((a, b) => dateOf(b) - dateOf(a));
+}
+
+export { reviewsPath, reviewKey, loadReviewStore, hasReview, addReviews, propertyReviews };
@@ -0,0 +1,188 @@
+/**
+ * sentiment.js
+ * Offline, rule-based review scoring — no API key or network needed:
+ *   - Hotel-review sentiment lexicon with simple negation handling
+ *   - Aspect tagging (cleanliness, staff, breakfast, ...) used by tag-aspects.js
+ *   - analyzeReviewsLocally(): same response shape as the Claude analysis in
+ *     /api/review-analysis, used when no ANTHROPIC_API_KEY is configured
+ */
+
+const ASPECTS = {
+  cleanliness: {
+    label: 'Cleanliness',
+    pattern: /\b(clean\w*|dirty|dirt|filth\w*|stain\w*|spotless|dust\w*|hairs?|mou?ld\w*|smell\w*|odou?r\w*|housekeep\w*|hygien\w*|bugs?|bed ?bugs?|cockroach\w*)\b/i,
+  },
+  staff: {
+    label: 'Staff',
+    pattern: /\b(staff|front desk|reception\w*|concierge|employees?|manager|bellm[ae]n|doorm[ae]n|bartender|server|waiter|waitress|rude|helpful|friendly|courteous|attentive|hospitality)\b/i,
+  },
+  breakfast: {
+    label: 'Breakfast',
+    pattern: /\b(breakfast|buffet|brunch|continental|omelet\w*|pastr\w*)\b/i,
+  },
+  parking: {
+    label: 'Parking',
+    pattern: /\b(parking|valet|garage|park (?:the|my|our) car|self[- ]park)\b/i,
+  },
+  noise: {
+    label: 'Noise',
+    pattern: /\b(nois\w*|loud\w*|quiet\w*|thin walls?|soundproof\w*|construction|traffic|hear (?:everything|the|our|people)|earplugs?)\b/i,
+  },
+  wifi: {
+    label: 'Wi-Fi',
+    pattern: /\b(wi-?fi|internet|wireless|connection|connectivity|bandwidth)\b/i,
+  },
+  renovation: {
+    label: 'Renovation',
+    pattern: /\b(renovat\w*|refurbish\w*|remodel\w*|dated|outdated|worn|tired|run[- ]down|shabby|old[- ]fashioned|needs? (?:an? )?update|updated|modern\w*|new(?:ly)? (?:decor|furniture|carpet)|carpets?)\b/i,
+  },
+};
+
+// Small sentiment lexicon — tuned for hotel reviews, not general text
+const POSITIVE = new Set([
+  'good', 'great', 'excellent', 'amazing', 'awesome', 'fantastic', 'wonderful', 'lovely', 'nice', 'perfect',
+  'clean', 'spotless', 'immaculate', 'fresh', 'comfortable', 'comfy', 'friendly', 'helpful', 'courteous',
+  'attentive', 'welcoming', 'professional', 'polite', 'quiet', 'peaceful', 'fast', 'reliable', 'strong',
+  'easy', 'convenient', 'free', 'delicious', 'tasty', 'plentiful', 'modern', 'updated', 'renovated',
+  'new', 'beautiful', 'stylish', 'spacious', 'best', 'love', 'loved', 'enjoyed', 'recommend', 'pleasant',
+  'efficient', 'superb', 'outstanding', 'exceptional', 'gracious', 'accommodating',
+]);
+const NEGATIVE = new Set([
+  'bad', 'poor', 'terrible', 'awful', 'horrible', 'worst', 'disappointing', 'disappointed', 'dirty', 'filthy',
+  'stained', 'stains', 'dusty', 'moldy', 'mouldy', 'smelly', 'smelled', 'musty', 'gross', 'disgusting',
+  'rude', 'unhelpful', 'unfriendly', 'slow', 'noisy', 'loud', 'thin', 'construction', 'broken', 'dated',
+  'outdated', 'old', 'worn', 'tired', 'shabby', 'rundown', 'expensive', 'overpriced', 'pricey', 'cold',
+  'weak', 'spotty', 'unreliable', 'unusable', 'slowest', 'limited', 'mediocre', 'bland', 'stale',
+  'cramped', 'uncomfortable', 'hard', 'problem', 'issue', 'issues', 'complaint', 'never', 'lacking',
+  'bugs', 'bedbugs', 'cockroach', 'cockroaches', 'hair', 'ignored', 'unprofessional', 'nightmare',
+]);
+const NEGATIONS = new Set(['not', 'no', "n't", 'never', 'hardly', 'barely', 'wasnt', 'isnt', 'didnt', 'dont', 'werent', 'without']);
+
+/**
+ * Lexicon score for one sentence: +1 per positive word, -1 per negative,
+ * flipped when one of the previous two words is a negation
+ */
+function scoreSentence(sentence) {
+  const words = sentence.toLowerCase().replace(/[’']/g, '').split(/[^a-z]+/).filter(Boolean);
+  let score = 0;
+  words.forEach((w, i) => {
+    const polarity = POSITIVE.has(w) ? 1 : NEGATIVE.has(w) ? -1 : 0;
+    if (!polarity) return;
+    const negated = NEGATIONS.has(words[i - 1]) || NEGATIONS.has(words[i - 2]);
+    score += negated ? -polarity : polarity;
+  });
+  return score;
+}
+
+function splitSentences(text) {
+  return (text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+|\s*[\n;]\s*/)
+    .map(s => s.trim())
+    .filter(s => s.length > 2);
+}
+
+/**
+ * Tag one review: one tag per aspect, polarity from the aspect sentences
+ */
+function tagReview(review) {
+  const sentences = splitSentences([review.title, review.text].filter(Boolean).join('. '));
+  const tags = [];
+  for (const [aspect, def] of Object.entries(ASPECTS)) {
+    const hits = sentences.filter(s => def.pattern.test(s));
+    if (!hits.length) continue;
+    const score = hits.reduce((sum, s) => sum + scoreSentence(s), 0);
+    let polarity;
+    if (score > 0) polarity = 'positive';
+    else if (score < 0) polarity = 'negative';
+    else if (review.rating >= 4) polarity = 'positive';
+    else if (review.rating != null && review.rating <= 2) polarity = 'negative';
+    else polarity = 'neutral';
+    tags.push({ aspect, polarity, snippet: hits[0].slice(0, 240) });
+  }
+  return tags;
+}
+
+// ─── Local review analysis ──────────────────────────────────────────────────
+
+const EXCERPT_MAX = 120;
+
+function excerpt(sentence) {
+  return sentence.length <= EXCERPT_MAX ? sentence : sentence.slice(0, EXCERPT_MAX - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+/**
+ * Score each review (star rating + lexicon) and keep its strongest
+ * positive and negative sentence as verbatim excerpt candidates
+ */
+function scoreReview(review) {
+  const sentences = splitSentences([review.title, review.text].filter(Boolean).join('. '));
+  const scored = sentences.map(s => ({ s, score: scoreSentence(s) }));
+  const lexicon = scored.reduce((sum, x) => sum + x.score, 0);
+  const rating = typeof review.rating === 'number' ? review.rating : 3;
+  const best = scored.reduce((a, b) => (b.score > (a?.score ?? -Infinity) ? b : a), null);
+  const worst = scored.reduce((a, b) => (b.score < (a?.score ?? Infinity) ? b : a), null);
+  return {
+    ...review,
+    score: (rating - 3) * 2 + Math.max(-4, Math.min(4, lexicon)),
+    bestSentence: best?.s || sentences[0] || '',
+    worstSentence: worst?.s || sentences[0] || '',
+  };
+}
+
+function listPhrase(items) {
+  if (items.length <= 1) return items[0] || '';
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Lexicon-based stand-in for the Claude review analysis.
+ * `reviews` are { source, rating, author, title, text } — the same list
+ * /api/review-analysis builds for the Claude prompt.
+ */
+function analyzeReviewsLocally(name, reviews) {
+  const scored = reviews.filter(r => r.text?.trim()).map(scoreReview);
+  if (!scored.length) return { summary: null, top3best: [], top3worst: [], engine: 'lexicon' };
+
+  const quote = (r, sentence) => ({
+    quote: excerpt(sentence),
+    rating: r.rating,
+    source: r.source,
+    author: r.author,
+  });
+  const top3best = [...scored].filter(r => r.score > 0).sort((a, b) => b.score - a.score)
+    .slice(0, 3).map(r => quote(r, r.bestSentence));
+  const top3worst = [...scored].filter(r => r.score < 0).sort((a, b) => a.score - b.score)
+    .slice(0, 3).map(r => quote(r, r.worstSentence));
+
+  // Aspect roll-up for the templated summary
+  const counts = {};
+  scored.forEach(r => tagReview(r).forEach(t => {
+    counts[t.aspect] = counts[t.aspect] || { positive: 0, negative: 0 };
+    if (t.polarity !== 'neutral') counts[t.aspect][t.polarity]++;
+  }));
+  // Ties count as criticism — an aspect guests split on is still a problem
+  const ranked = polarity => Object.entries(counts)
+    .filter(([, c]) => polarity === 'positive' ? c.positive > c.negative : c.negative > 0 && c.negative >= c.positive)
+    .sort((a, b) => b[1][polarity] - a[1][polarity])
+    .slice(0, 3)
+    .map(([k]) => ASPECTS[k].label.toLowerCase());
+  const praised = ranked('positive');
+  const criticised = ranked('negative');
+
+  const rated = scored.filter(r => typeof r.rating === 'number');
+  const avg = rated.length ? rated.reduce((s, r) => s + r.rating, 0) / rated.length : null;
+  const positiveShare = scored.filter(r => r.score > 0).length / scored.length;
+  const tone = positiveShare >= 0.7 ? 'largely positive' : positiveShare >= 0.4 ? 'mixed' : 'largely negative';
+
+  const sentences = [
+    `Across ${scored.length} recent review${scored.length !== 1 ? 's' : ''}${avg != null ? ` (average ${avg.toFixed(1)}/5)` : ''}, guest sentiment for ${name} is ${tone}.`,
+  ];
+  if (praised.length) sentences.push(`Guests most often praise the ${listPhrase(praised)}.`);
+  if (criticised.length) sentences.push(`The most common criticisms concern ${listPhrase(criticised)}.`);
+  if (!praised.length && !criticised.length) sentences.push('No operational theme comes up repeatedly.');
+
+  return { summary: sentences.join(' '), top3best, top3worst, engine: 'lexicon' };
+}
+
+export { ASPECTS, scoreSentence, splitSentences, tagReview, analyzeReviewsLocally };
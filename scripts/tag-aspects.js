@@ -0,0 +1,155 @@
+/**
+ * tag-aspects.js
+ * Batch job that tags every review in a portfolio's portfolio.json and every saved
+ * folder hotel (folder-store.js) with operational aspects
+ * (cleanliness, staff, breakfast, parking, noise, Wi-Fi, renovation) and a
+ * polarity per mention, then rolls them up into a property × aspect matrix.
+ *
+ * Tagging is keyword-based (see sentiment.js): each sentence that mentions
+ * an aspect is scored with the review lexicon; if the sentence is neutral
+ * the review's star rating decides.
+ *
+ * Output: aspects.json in the portfolio's data directory (served at /api/aspects)
+ * Run: npm run tag:aspects [-- --portfolio <id>]  (also runs at the end of npm run fetch)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { ASPECTS, tagReview } from './sentiment.js';
+import { reviewKey } from './review-store.js';
+import { getPortfolio, portfolioFromArgs, dataFile } from './portfolios.js';
+import { allHotels } from './folder-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+
+// ─── Review collection ──────────────────────────────────────────────────────
+
+function normalizeGoogle(r) {
+  return {
+    source: 'google',
+    reviewKey: reviewKey('google', r),
+    rating: r.rating ?? null,
+    date: r.time ? new Date(r.time * 1000).toISOString() : null,
+    author: r.author || null,
+    title: '',
+    text: r.text || '',
+  };
+}
+
+function normalizeTA(r) {
+  return {
+    source: 'tripadvisor',
+    reviewKey: reviewKey('tripadvisor', r),
+    rating: r.rating ?? null,
+    date: r.publishedDate || null,
+    author: r.user?.username || null,
+    title: r.title || '',
+    text: r.text || '',
+    tripType: r.tripType || null,
+  };
+}
+
+/**
+ * Every hotel we hold reviews for: one portfolio's properties + saved folder hotels.
+ * Entity keys are "portfolio:<id>" and "folder:<folderId>:<placeId>".
+ */
+function collectEntities(pf = getPortfolio()) {
+  const entities = [];
+  const portfolioPath = dataFile(pf, 'portfolio.json');
+
+  if (fs.existsSync(portfolioPath)) {
+    const portfolio = JSON.parse(fs.readFileSync(portfolioPath, 'utf8'));
+    portfolio.forEach(p => entities.push({
+      key: `portfolio:${p.id}`,
+      kind: 'portfolio',
+      propertyId: p.id,
+      name: p.name,
+      group: pf.name,
+      reviews: [
+        ...((p.google && !p.google.error && p.google.reviews) || []).map(normalizeGoogle),
+        ...((p.tripadvisor && !p.tripadvisor.error && p.tripadvisor.reviews) || []).map(normalizeTA),
+      ],
+    }));
+  }
+
+  allHotels().forEach(h => entities.push({
+    key: `folder:${h.folderId}:${h.placeId}`,
+    kind: 'folder',
+    folderId: h.folderId,
+    placeId: h.placeId,
+    name: h.name,
+    group: h.folderName,
+    reviews: [
+      ...(h.cachedData?.reviews || []).map(normalizeGoogle),
+      ...(h.cachedData?.tripadvisor?.reviews || []).map(normalizeTA),
+    ],
+  }));
+
+  return entities;
+}
+
+/**
+ * Tag all reviews and build the matrix + drill-down index
+ */
+function buildAspects(pf = getPortfolio()) {
+  const entities = collectEntities(pf);
+  const rows = [];
+  const tagged = [];
+
+  for (const e of entities) {
+    const cells = Object.fromEntries(Object.keys(ASPECTS).map(a => [a, { mentions: 0, positive: 0, negative: 0, neutral: 0 }]));
+    for (const review of e.reviews) {
+      const tags = tagReview(review);
+      if (!tags.length) continue;
+      tags.forEach(t => {
+        cells[t.aspect].mentions++;
+        cells[t.aspect][t.polarity]++;
+      });
+      tagged.push({ entity: e.key, ...review, tags });
+    }
+    // Net sentiment in [-1, 1]; null when the aspect never comes up
+    Object.values(cells).forEach(c => {
+      c.score = c.mentions ? Math.round(((c.positive - c.negative) / c.mentions) * 100) / 100 : null;
+    });
+    const { reviews, ...meta } = e;
+    rows.push({ ...meta, reviewCount: reviews.length, aspects: cells });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    aspects: Object.entries(ASPECTS).map(([key, def]) => ({ key, label: def.label })),
+    entities: rows,
+    reviews: tagged,
+  };
+}
+
+function loadAspects(pf = getPortfolio()) {
+  const aspectsPath = dataFile(pf, 'aspects.json');
+  if (!fs.existsSync(aspectsPath)) return null;
+  try { return JSON.parse(fs.readFileSync(aspectsPath, 'utf8')); }
+  catch { return null; }
+}
+
+async function main(pf = getPortfolio()) {
+  console.log(chalk.bold.cyan(`\n🏷  Review Aspect Tagger — ${pf.name}`));
+  const result = buildAspects(pf);
+  const aspectsPath = dataFile(pf, 'aspects.json');
+  fs.mkdirSync(pf.dataDir, { recursive: true });
+  fs.writeFileSync(aspectsPath, JSON.stringify(result, null, 2));
+  const reviewTotal = result.entities.reduce((n, e) => n + e.reviewCount, 0);
+  console.log(chalk.cyan(`   Tagged ${result.reviews.length}/${reviewTotal} reviews across ${result.entities.length} hotels`));
+  console.log(chalk.gray(`   Saved to ${path.relative(ROOT, aspectsPath)}\n`));
+  return result;
+}
+
+export { collectEntities, buildAspects, loadAspects, main };
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  Promise.resolve().then(() => main(portfolioFromArgs() || getPortfolio())).catch(err => {
+    console.error(chalk.red('Fatal error:'), err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,304 @@
+/**
+ * usage.js
+ * Counts every outbound call to a paid or quota-limited API — Google Places,
+ * the TripAdvisor Content API, SerpAPI and Claude — estimates what it cost,
+ * and refuses new calls once a monthly budget is used up.
+ *
+ * HTTP calls go through createClient(), an axios instance whose interceptors
+ * recognise the provider from the host — providers.js builds the shared
+ * per-API clients on it. Hosts that aren't listed (TripAdvisor's photo CDN,
+ * GitHub, alert webhooks) pass through uncounted.
+ * Claude calls go through claudeMessage(), which also records token usage.
+ *
+ * Every call is one line in data/usage-YYYY-MM.jsonl:
+ *   { at, provider, endpoint, status, cost, model?, inputTokens?, outputTokens? }
+ * The file is append-only and re-read incrementally, so a `npm run fetch` in
+ * another process counts against the same budget as the server.
+ *
+ * Budgets (.env, per calendar month, UTC; unset = no limit):
+ *   BUDGET_<PROVIDER>_CALLS   e.g. BUDGET_TRIPADVISOR_CALLS=5000
+ *   BUDGET_<PROVIDER>_USD     e.g. BUDGET_GOOGLE_USD=25
+ * TripAdvisor and SerpAPI default to their free tiers (5,000 and 100 calls);
+ * set the variable to "none" to lift a limit.
+ * A call that would go over throws BudgetExceededError (status 429).
+ *
+ * Costs are list-price estimates from PRICES below — check them against the
+ * providers' billing pages; the counts are exact.
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// USD per call, by endpoint ("*" for anything else); Claude is per million tokens
+const PRICES = {
+  google: { textsearch: 0.032, details: 0.025, photo: 0.007, '*': 0.017 },
+  tripadvisor: { '*': 0 },
+  serpapi: { '*': 0.015 },
+  anthropic: {
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-opus-4': { input: 15, output: 75 },
+  },
+};
+
+const PROVIDERS = {
+  google: {
+    label: 'Google Places',
+    hosts: ['maps.googleapis.com', 'places.googleapis.com'],
+    endpoint: url => url.pathname.match(/\/place\/([a-z]+)/)?.[1] || url.pathname.split('/').pop(),
+  },
+  tripadvisor: {
+    label: 'TripAdvisor Content API',
+    hosts: ['api.content.tripadvisor.com'],
+    // /api/v1/location/123/reviews → location/reviews
+    endpoint: url => url.pathname.replace(/^\/api\/v1\//, '').replace(/\/\d+(?=\/|$)/g, ''),
+    defaultCalls: 5000,
+  },
+  serpapi: {
+    label: 'SerpAPI',
+    hosts: ['serpapi.com'],
+    endpoint: (url, params) => params?.engine || url.searchParams.get('engine') || url.pathname,
+    defaultCalls: 100,
+  },
+  anthropic: { label: 'Claude (Anthropic)', hosts: [] },
+};
+
+class BudgetExceededError extends Error {
+  constructor(provider, reason) {
+    super(`Monthly ${PROVIDERS[provider].label} budget reached (${reason}) — calls resume on ${nextMonthStart()}`);
+    this.name = 'BudgetExceededError';
+    this.provider = provider;
+    this.status = 429;
+  }
+}
+
+// ─── Budgets ─────────────────────────────────────────────────────────────────
+
+// "none" lifts a limit, including the free-tier defaults
+function budgetFor(provider) {
+  const env = name => {
+    const raw = process.env[`BUDGET_${provider.toUpperCase()}_${name}`];
+    if (raw == null || raw === '') return undefined;
+    return raw === 'none' ? null : parseFloat(raw);
+  };
+  const calls = env('CALLS');
+  return {
+    calls: calls === undefined ? PROVIDERS[provider].defaultCalls ?? null : calls,
+    usd: env('USD') ?? null,
+  };
+}
+
+const monthKey = (d = new Date()) => d.toISOString().slice(0, 7);
+
+function nextMonthStart() {
+  const d = new Date();
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1)).toISOString().slice(0, 10);
+}
+
+// ─── Ledger ──────────────────────────────────────────────────────────────────
+
+const ledgerPath = month => path.join(DATA_DIR, `usage-${month}.jsonl`);
+
+// The current month's totals, folded in from the ledger as it grows
+let state = { month: null, offset: 0, totals: {} };
+
+function readLines(file, from = 0) {
+  if (!fs.existsSync(file)) return { records: [], offset: 0 };
+  const size = fs.statSync(file).size;
+  if (size <= from) return { records: [], offset: from };
+  const buf = Buffer.alloc(size - from);
+  const fd = fs.openSync(file, 'r');
+  try { fs.readSync(fd, buf, 0, buf.length, from); }
+  finally { fs.closeSync(fd); }
+  // Only whole lines — another process may be half-way through an append
+  const text = buf.toString('utf8');
+  const end = text.lastIndexOf('\n') + 1;
+  const records = text.slice(0, end).split('\n').filter(Boolean)
+    .map(line => { try { return JSON.parse(line); } catch { return null; } })
+    .filter(Boolean);
+  return { records, offset: from + Buffer.byteLength(text.slice(0, end)) };
+}
+
+function currentTotals() {
+  const month = monthKey();
+  if (state.month !== month) state = { month, offset: 0, totals: {} };
+  const { records, offset } = readLines(ledgerPath(month), state.offset);
+  for (const r of records) {
+    const t = state.totals[r.provider] ||= { calls: 0, cost: 0 };
+    t.calls++;
+    t.cost += r.cost || 0;
+  }
+  state.offset = offset;
+  return state.totals;
+}
+
+/**
+ * Throw BudgetExceededError if `provider` has used up this month's budget
+ */
+function checkBudget(provider) {
+  const budget = budgetFor(provider);
+  if (budget.calls == null && budget.usd == null) return;
+  const used = currentTotals()[provider] || { calls: 0, cost: 0 };
+  if (budget.calls != null && used.calls >= budget.calls) throw new BudgetExceededError(provider, `${used.calls}/${budget.calls} calls`);
+  if (budget.usd != null && used.cost >= budget.usd) throw new BudgetExceededError(provider, `$${used.cost.toFixed(2)}/$${budget.usd}`);
+}
+
+function recordCall(provider, endpoint, { status = null, cost = 0, model, inputTokens, outputTokens } = {}) {
+  const entry = {
+    at: new Date().toISOString(), provider, endpoint, status, cost: Math.round(cost * 1e6) / 1e6,
+    ...(model ? { model, inputTokens, outputTokens } : {}),
+  };
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(ledgerPath(monthKey()), JSON.stringify(entry) + '\n');
+}
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+function providerForUrl(url) {
+  return Object.keys(PROVIDERS).find(p => PROVIDERS[p].hosts.includes(url.hostname)) || null;
+}
+
+function describe(config) {
+  let url;
+  try { url = new URL(axios.getUri(config)); }
+  catch { return null; }
+  const provider = providerForUrl(url);
+  if (!provider) return null;
+  return { provider, endpoint: PROVIDERS[provider].endpoint(url, config.params) };
+}
+
+function priceOf(provider, endpoint, status) {
+  // Failed requests aren't billed, but they still count against call quotas
+  if (status == null || status >= 400) return 0;
+  const prices = PRICES[provider];
+  return prices[endpoint] ?? prices['*'] ?? 0;
+}
+
+/**
+ * axios.create() plus usage tracking and budget checks
+ */
+function createClient(config = {}) {
+  const client = axios.create(config);
+  client.interceptors.request.use(req => {
+    const call = describe(req);
+    if (call) checkBudget(call.provider);
+    req.usage = call;
+    return req;
+  });
+  const record = (req, status) => {
+    if (!req?.usage) return;
+    const { provider, endpoint } = req.usage;
+    recordCall(provider, endpoint, { status, cost: priceOf(provider, endpoint, status) });
+  };
+  client.interceptors.response.use(
+    res => { record(res.config, res.status); return res; },
+    err => { record(err.config, err.response?.status ?? null); return Promise.reject(err); },
+  );
+  return client;
+}
+
+// ─── Claude ──────────────────────────────────────────────────────────────────
+
+function claudePrice(model) {
+  const key = Object.keys(PRICES.anthropic).find(k => model.startsWith(k));
+  return key ? PRICES.anthropic[key] : { input: 3, output: 15 };
+}
+
+/**
+ * client.messages.create() with a budget check and token accounting.
+ * `endpoint` names the feature (e.g. "review-analysis") in the usage report.
+ */
+async function claudeMessage(client, params, endpoint) {
+  checkBudget('anthropic');
+  let res;
+  try {
+    res = await client.messages.create(params);
+  } catch (err) {
+    recordCall('anthropic', endpoint, { status: err.status ?? null, model: params.model, inputTokens: 0, outputTokens: 0 });
+    throw err;
+  }
+  const inputTokens = res.usage?.input_tokens || 0;
+  const outputTokens = res.usage?.output_tokens || 0;
+  const price = claudePrice(params.model);
+  recordCall('anthropic', endpoint, {
+    status: 200, model: params.model, inputTokens, outputTokens,
+    cost: (inputTokens * price.input + outputTokens * price.output) / 1e6,
+  });
+  return res;
+}
+
+// ─── Report ──────────────────────────────────────────────────────────────────
+
+/**
+ * Usage for one month (default: the current one) —
+ *   { month, providers: { [provider]: { label, calls, errors, cost, inputTokens, outputTokens,
+ *       budget: { calls, usd, remainingCalls, remainingUsd, exhausted },
+ *       endpoints: { [endpoint]: { calls, errors, cost } } } },
+ *     days: [{ date, [provider]: { calls, cost } }], totalCost }
+ */
+function usageReport(month = monthKey()) {
+  const { records } = readLines(ledgerPath(month));
+  const providers = Object.fromEntries(Object.entries(PROVIDERS).map(([key, def]) => [key, {
+    label: def.label, calls: 0, errors: 0, cost: 0, inputTokens: 0, outputTokens: 0, endpoints: {},
+  }]));
+  const days = {};
+  for (const r of records) {
+    const p = providers[r.provider];
+    if (!p) continue;
+    const failed = r.status == null || r.status >= 400;
+    p.calls++;
+    p.cost += r.cost || 0;
+    if (failed) p.errors++;
+    p.inputTokens += r.inputTokens || 0;
+    p.outputTokens += r.outputTokens || 0;
+    const e = p.endpoints[r.endpoint] ||= { calls: 0, errors: 0, cost: 0 };
+    e.calls++;
+    e.cost += r.cost || 0;
+    if (failed) e.errors++;
+    const day = (days[r.at.slice(0, 10)] ||= {})[r.provider] ||= { calls: 0, cost: 0 };
+    day.calls++;
+    day.cost += r.cost || 0;
+  }
+
+  // Four decimals — a single Claude call can cost a fraction of a cent
+  const round = n => Math.round(n * 1e4) / 1e4;
+  for (const [key, p] of Object.entries(providers)) {
+    const budget = budgetFor(key);
+    p.cost = round(p.cost);
+    Object.values(p.endpoints).forEach(e => { e.cost = round(e.cost); });
+    p.budget = {
+      ...budget,
+      remainingCalls: budget.calls != null ? Math.max(0, budget.calls - p.calls) : null,
+      remainingUsd: budget.usd != null ? round(Math.max(0, budget.usd - p.cost)) : null,
+      exhausted: month === monthKey() && ((budget.calls != null && p.calls >= budget.calls) || (budget.usd != null && p.cost >= budget.usd)),
+    };
+  }
+  return {
+    month,
+    providers,
+    days: Object.keys(days).sort().map(date => ({
+      date,
+      ...Object.fromEntries(Object.entries(days[date]).map(([k, v]) => [k, { calls: v.calls, cost: round(v.cost) }])),
+    })),
+    totalCost: round(Object.values(providers).reduce((n, p) => n + p.cost, 0)),
+  };
+}
+
+/**
+ * Months with a ledger, newest first
+ */
+function usageMonths() {
+  if (!fs.existsSync(DATA_DIR)) return [];
+  return fs.readdirSync(DATA_DIR)
+    .map(f => f.match(/^usage-(\d{4}-\d{2})\.jsonl$/)?.[1])
+    .filter(Boolean)
+    .sort()
+    .reverse();
+}
+
+export { BudgetExceededError, createClient, checkBudget, claudeMessage, usageReport, usageMonths };
@@ -4,6 +4,33 @@
  *   - Serves the static dashboard at /
  *   - Exposes portfolio data at /api/portfolio
  *   - Exposes metadata at /api/metadata
+ *   - Exposes rating history at /api/portfolio/history
+ *   - Exposes fetch alerts at /api/alerts
+ *   - Exposes the review aspect heatmap at /api/aspects
+ *   - Exposes full-text review search at /api/reviews/search
+ *   - Serves self-hosted photo copies at /api/photos/:hash (live lookups'
+ *     Google photos are cached as they are shown, at /api/photos/google/:ref)
+ *   - Exports XLSX / PDF investment-committee packs for a property, the
+ *     portfolio or a saved folder — see scripts/report.js
+ *   - Exposes per-property photo coverage at /api/photos/coverage
+ *   - Manages properties.json at /api/properties (with an audit log)
+ *   - Lists named portfolios at /api/portfolios; every portfolio-scoped route
+ *     takes ?portfolio=<id> (default: the first in portfolios.json)
+ *   - Runs data refreshes as background jobs: POST /api/refresh queues one,
+ *     /api/jobs/:id reports progress and /api/jobs/:id/events streams it (SSE)
+ *   - Imports CSV comp lists into saved folders (match, review, save — also as
+ *     jobs) — see scripts/folder-import.js
+ *   - Manages saved folders at /api/folders — rename, move / copy hotels
+ *     between folders, per-hotel notes, tags and status
+ *   - Re-fetches every hotel in a saved folder as a job, and on a schedule
+ *     with FOLDER_REFRESH_MAX_AGE_DAYS — see scripts/folder-refresh.js
+ *   - Counts outbound API calls and estimated spend at /api/usage, and enforces
+ *     monthly budgets — see scripts/usage.js
+ *   - Calls Google, TripAdvisor and SerpAPI through the shared rate-limited,
+ *     retrying clients in scripts/providers.js; live search and hotel lookups
+ *     are cached (stats at /api/cache) — see scripts/response-cache.js
+ *   - Requires a login (session cookie or API token) for every /api route,
+ *     with viewer / analyst / admin roles — see scripts/auth.js
  *   - Auto-opens browser on start
  */
 
@@ -16,6 +43,30 @@ import open from 'open';
 import axios from 'axios';
 import Anthropic from '@anthropic-ai/sdk';
 import { main as runFetch } from './scripts/fetch-all.js';
+import { normaliseSelection } from './scripts/fetch-options.js';
+import { claudeMessage, BudgetExceededError, usageReport, usageMonths } from './scripts/usage.js';
+import { google as googleApi, tripadvisor as taApi, serpapi as serpApi, clientStats, CircuitOpenError } from './scripts/providers.js';
+import {
+  FolderStoreError, listFolders, createFolder, updateFolder, deleteFolder, getFolder,
+  getHotel, hasHotel, addHotel, updateHotel, hotelAnnotations, transferHotel, removeHotel, allHotels, exportFolders,
+} from './scripts/folder-store.js';
+import { fetchHotelDetails, fetchTAHotelDetails, lookupRoomsViaSerpApi } from './scripts/hotel-lookup.js';
+import { refreshFolderHotel, refreshFolders, selectHotels } from './scripts/folder-refresh.js';
+import { benchmarkFolder } from './scripts/benchmark.js';
+import { parseImportCsv, resolveImport, validateSelections, importHotels } from './scripts/folder-import.js';
+import { FORMATS as REPORT_FORMATS, portfolioPack, folderPack, renderPack } from './scripts/report.js';
+import { cacheResponse, normaliseQuery, cacheStats, clearCache } from './scripts/response-cache.js';
+import { enqueueJob, findActiveJob, getJob, listJobs, cancelJob, subscribeJob, publicJob, isFinished } from './scripts/jobs.js';
+import { loadHistory, propertySeries } from './scripts/history.js';
+import { loadAlerts } from './scripts/alerts.js';
+import { main as runTagAspects, loadAspects } from './scripts/tag-aspects.js';
+import { analyzeReviewsLocally } from './scripts/sentiment.js';
+import { searchReviews } from './scripts/review-search.js';
+import { cacheHotelPhotos, cacheGooglePhoto, lazyGooglePhotos, photoFile } from './scripts/photo-cache.js';
+import { loadProperties, saveProperties, validateProperty, appendAudit, loadAudit, nextPropertyId } from './scripts/properties.js';
+import { hotelNameScore } from './scripts/match.js';
+import { listPortfolios, getPortfolio, dataFile } from './scripts/portfolios.js';
+import { hasRole, loadUsers, authenticatePassword, authenticateToken, createSession, verifySession, publicUser } from './scripts/auth.js';
 
 function getClaudeClient() {
   const apiKey = process.env.ANTHROPIC_API_KEY;
@@ -35,26 +86,20 @@ if (fs.existsSync(envPath)) {
   });
 }
 
-// ─── Saved Portfolios helpers ────────────────────────────────────────────────
-const PORTFOLIOS_PATH = path.join(__dirname, 'saved-portfolios.json');
+// ─── Saved folders helpers ───────────────────────────────────────────────────
+// Folders live in data/folders.db (scripts/folder-store.js); with GITHUB_TOKEN
+// set, every change is also mirrored to saved-portfolios.json in the repo.
 
-function loadPortfolios() {
-  if (!fs.existsSync(PORTFOLIOS_PATH)) return { folders: [] };
-  try { return JSON.parse(fs.readFileSync(PORTFOLIOS_PATH, 'utf8')); }
-  catch { return { folders: [] }; }
+function foldersChanged() {
+  syncToGitHub().catch(err => console.error(chalk.yellow('  GitHub sync failed:'), err.message));
 }
 
-function savePortfolios(data) {
-  fs.writeFileSync(PORTFOLIOS_PATH, JSON.stringify(data, null, 2), 'utf8');
-  syncToGitHub(data).catch(err => console.error(chalk.yellow('  GitHub sync failed:'), err.message));
-}
-
-async function syncToGitHub(data) {
+async function syncToGitHub() {
   const token = process.env.GITHUB_TOKEN;
   const repo = process.env.GITHUB_REPO;
   const branch = process.env.GITHUB_BRANCH || 'main';
   if (!token || !repo) return;
-  const content = Buffer.from(JSON.stringify(data, null, 2)).toString('base64');
+  const content = Buffer.from(JSON.stringify(exportFolders(), null, 2)).toString('base64');
   const apiUrl = `https://api.github.com/repos/${repo}/contents/saved-portfolios.json`;
   const headers = { Authorization: `token ${token}`, 'User-Agent': 'portfolio-intel' };
   let sha;
@@ -71,125 +116,130 @@ async function syncToGitHub(data) {
   console.log(chalk.green('  GitHub sync: saved-portfolios.json committed'));
 }
 
-async function fetchHotelDetails(placeId) {
-  const apiKey = process.env.GOOGLE_PLACES_API_KEY;
-  if (!apiKey) throw new Error('Google API key not configured');
-  const r = await axios.get('https://maps.googleapis.com/maps/api/place/details/json', {
-    params: {
-      place_id: placeId,
-      fields: 'name,rating,user_ratings_total,reviews,photos,website,formatted_phone_number,url,formatted_address,geometry',
-      key: apiKey
-    }
-  });
-  const d = r.data.result;
-  return {
-    placeId,
-    name: d.name,
-    address: d.formatted_address,
-    rating: d.rating,
-    totalRatings: d.user_ratings_total,
-    lat: d.geometry?.location?.lat,
-    lng: d.geometry?.location?.lng,
-    googleMapsUrl: d.url,
-    website: d.website,
-    phone: d.formatted_phone_number,
-    reviews: (d.reviews || []).map(rv => ({
-      author: rv.author_name, rating: rv.rating, text: rv.text,
-      time: rv.time, timeDescription: rv.relative_time_description,
-      profilePhoto: rv.profile_photo_url
-    })),
-    photos: (d.photos || []).slice(0, 20).map(p => ({
-      url: `https://maps.googleapis.com/maps/api/place/photo?maxwidth=800&photoreference=${p.photo_reference}&key=${apiKey}`,
-      width: p.width, height: p.height
-    }))
-  };
+// Out of budget or an upstream API that keeps failing is something to wait
+// out, not a server fault
+function errorStatus(err) {
+  if (err instanceof FolderStoreError) return err.status;
+  if (err instanceof BudgetExceededError) return 429;
+  if (err instanceof CircuitOpenError) return 503;
+  return 500;
 }
+// ─────────────────────────────────────────────────────────────────────────────
 
-async function fetchTAHotelDetails(locationId) {
-  const apiKey = process.env.TRIPADVISOR_API_KEY;
-  if (!apiKey) throw new Error('TripAdvisor API key not configured');
-  // Key must be passed as ?key= query param (same as fetch-tripadvisor.js batch script)
-  const taClient = axios.create({
-    baseURL: 'https://api.content.tripadvisor.com/api/v1',
-    headers: { accept: 'application/json' },
-    params: { key: apiKey },
-  });
-  try {
-    const [detRes, revRes, photoRes] = await Promise.all([
-      taClient.get(`/location/${locationId}/details`, { params: { language: 'en', currency: 'USD' } }),
-      taClient.get(`/location/${locationId}/reviews`, { params: { language: 'en', limit: 5 } }),
-      taClient.get(`/location/${locationId}/photos`,  { params: { language: 'en', limit: 20 } }),
-    ]);
-    const d = detRes.data;
-    const subratings = d.subratings
-      ? Object.fromEntries(Object.entries(d.subratings).map(([k, v]) => [k, { name: v.localized_name, value: parseFloat(v.value) }]))
-      : {};
-    return {
-      locationId,
-      tripadvisorUrl: d.web_url,
-      name: d.name,
-      address: d.address_obj?.address_string,
-      rating: parseFloat(d.rating) || null,
-      numReviews: d.num_reviews,
-      numRooms: d.num_rooms || null,
-      rankingString: d.ranking_data?.ranking_string,
-      priceLevel: d.price_level,
-      subratings,
-      reviews: (revRes.data?.data || []).map(rv => ({
-        id: rv.id, title: rv.title, text: rv.text, rating: rv.rating,
-        publishedDate: rv.published_date, helpfulVotes: rv.helpful_votes,
-        tripType: rv.trip_type, travelDate: rv.travel_date,
-        user: { username: rv.user?.username, userLocation: rv.user?.user_location?.name },
-        url: rv.url,
-      })),
-      photos: (photoRes.data?.data || []).map(ph => ({
-        id: ph.id, caption: ph.caption,
-        images: {
-          thumbnail: ph.images?.thumbnail?.url, small: ph.images?.small?.url,
-          medium: ph.images?.medium?.url, large: ph.images?.large?.url,
-          original: ph.images?.original?.url,
-        },
-      })),
-    };
-  } catch (err) {
-    const msg = err.response?.data?.message || err.response?.data?.error
-      || `${err.message}${err.response?.status ? ` (HTTP ${err.response.status})` : ''}`;
-    throw new Error(msg);
+const PORT = parseInt(process.env.PORT || '3737');
+const app = express();
+
+app.use(express.json());
+
+// Serve static dashboard
+app.use(express.static(path.join(__dirname, 'dashboard')));
+
+// ─── Authentication ──────────────────────────────────────────────────────────
+
+const SESSION_COOKIE = 'pi_session';
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+const authDisabled = process.env.AUTH_DISABLED === '1';
+const loginFailures = new Map(); // "<ip>|<username>" → { count, first }
+
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+function sessionCookie(req, value, maxAge) {
+  return `${SESSION_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${req.secure ? '; Secure' : ''}`;
+}
+
+// Resolve req.user from "Authorization: Bearer <token>" or the session cookie
+function authenticate(req, res, next) {
+  if (authDisabled) {
+    req.user = { username: 'local', role: 'admin' };
+    return next();
   }
+  const bearer = req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  const user = bearer ? authenticateToken(bearer) : verifySession(readCookie(req, SESSION_COOKIE));
+  if (!user) return res.status(401).json({ error: 'Login required' });
+  req.user = user;
+  next();
 }
 
-async function lookupRoomsViaSerpApi(locationId) {
-  const apiKey = process.env.SERPAPI_KEY;
-  if (!apiKey || apiKey === 'your_serpapi_key_here') {
-    console.log('[SerpAPI] No API key configured — skipping room lookup');
-    return null;
+function requireRole(role) {
+  return (req, res, next) => hasRole(req.user, role)
+    ? next()
+    : res.status(403).json({ error: `This needs the ${role} role (you are ${req.user.role})` });
+}
+
+// POST /api/auth/login — { username, password } → session cookie
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+  const key = `${req.ip}|${String(username).toLowerCase()}`;
+  const failures = loginFailures.get(key);
+  if (failures && Date.now() - failures.first > LOGIN_LOCK_MS) loginFailures.delete(key);
+  else if (failures?.count >= LOGIN_MAX_FAILURES) return res.status(429).json({ error: 'Too many failed logins — try again in 15 minutes' });
+
+  const user = authenticatePassword(username, password);
+  if (!user) {
+    const f = loginFailures.get(key) || { count: 0, first: Date.now() };
+    f.count++;
+    loginFailures.set(key, f);
+    return res.status(401).json({ error: 'Wrong username or password' });
   }
+  loginFailures.delete(key);
+  const session = createSession(user);
+  res.set('Set-Cookie', sessionCookie(req, session.value, session.maxAge));
+  res.json(publicUser(user));
+});
+
+// POST /api/auth/logout — clears the session cookie
+app.post('/api/auth/logout', (req, res) => {
+  res.set('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ ok: true });
+});
+
+// Everything below needs a logged-in user
+app.use('/api', authenticate);
+
+// GET /api/auth/me — who is logged in
+app.get('/api/auth/me', (req, res) => {
+  res.json({ ...publicUser(req.user), authDisabled });
+});
+
+// Resolve ?portfolio=<id> into req.portfolio for portfolio-scoped routes
+function portfolioScope(req, res, next) {
+  let pf;
   try {
-    const { data } = await axios.get('https://serpapi.com/search.json', {
-      params: { engine: 'tripadvisor_place', place_id: locationId, api_key: apiKey },
-      timeout: 10000,
-    });
-    const n = data.place_result?.num_rooms ?? null;
-    console.log(`[SerpAPI] room count for TA location ${locationId}: ${n}`);
-    return Number.isFinite(n) && n > 0 ? n : null;
+    pf = getPortfolio(req.query.portfolio);
   } catch (err) {
-    console.error('[SerpAPI] room lookup error:', err.message);
-    return null;
+    return res.status(500).json({ error: err.message });
   }
+  if (!pf) return res.status(404).json({ error: `Unknown portfolio "${req.query.portfolio}"` });
+  req.portfolio = pf;
+  next();
 }
-// ─────────────────────────────────────────────────────────────────────────────
-
-const PORT = parseInt(process.env.PORT || '3737');
-const app = express();
 
-app.use(express.json());
-
-// Serve static dashboard
-app.use(express.static(path.join(__dirname, 'dashboard')));
+// API: named portfolios with their size and last fetch
+app.get('/api/portfolios', (req, res) => {
+  try {
+    res.json(listPortfolios().map(pf => {
+      const metaPath = dataFile(pf, 'metadata.json');
+      const meta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : {};
+      return {
+        id: pf.id,
+        name: pf.name,
+        propertyCount: loadProperties(pf).length,
+        lastFetch: meta.lastFetch || null,
+      };
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
 // API: portfolio data
-app.get('/api/portfolio', (req, res) => {
-  const portfolioPath = path.join(__dirname, 'data', 'portfolio.json');
+app.get('/api/portfolio', portfolioScope, (req, res) => {
+  const portfolioPath = dataFile(req.portfolio, 'portfolio.json');
   if (!fs.existsSync(portfolioPath)) {
     return res.status(404).json({
       error: 'No portfolio data found. Run `npm run fetch` first.'
@@ -199,9 +249,138 @@ app.get('/api/portfolio', (req, res) => {
   res.json(data);
 });
 
+// Send a report pack as a download (?format=pdf|xlsx, default pdf)
+async function sendReport(req, res, pack) {
+  const format = String(req.query.format || 'pdf').toLowerCase();
+  if (!REPORT_FORMATS[format]) return res.status(400).json({ error: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+  try {
+    const { body, contentType, filename } = await renderPack(pack, format, { baseUrl: `${req.protocol}://${req.get('host')}` });
+    res.set({ 'Content-Type': contentType, 'Content-Disposition': `attachment; filename="${filename}"` }).send(body);
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+}
+
+// API: the whole portfolio as an investment-committee pack
+app.get('/api/portfolio/export', portfolioScope, (req, res) => {
+  const pack = portfolioPack(req.portfolio);
+  if (!pack) return res.status(404).json({ error: 'No portfolio data found. Run `npm run fetch` first.' });
+  sendReport(req, res, pack);
+});
+
+// API: rating history — per-metric time series from the portfolio's history.jsonl
+// ?propertyId=N returns one property; without it, every property in the history
+app.get('/api/portfolio/history', portfolioScope, (req, res) => {
+  const history = loadHistory(req.portfolio);
+  if (req.query.propertyId !== undefined) {
+    const propertyId = parseInt(req.query.propertyId);
+    if (!Number.isFinite(propertyId)) return res.status(400).json({ error: 'valid propertyId required' });
+    return res.json({ propertyId, snapshots: history.length, series: propertySeries(history, propertyId) });
+  }
+  const ids = [...new Set(history.flatMap(s => s.properties.map(p => p.propertyId)))].sort((a, b) => a - b);
+  res.json(ids.map(propertyId => ({ propertyId, snapshots: history.length, series: propertySeries(history, propertyId) })));
+});
+
+// API: alerts raised by the post-fetch alert engine, newest first
+// Optional filters: ?propertyId=&rule=&since=ISO&limit=
+app.get('/api/alerts', portfolioScope, (req, res) => {
+  const { propertyId, rule, since } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  let alerts = loadAlerts(req.portfolio).reverse();
+  if (propertyId) alerts = alerts.filter(a => String(a.propertyId) === String(propertyId));
+  if (rule) alerts = alerts.filter(a => a.rule === rule);
+  if (since) alerts = alerts.filter(a => a.createdAt >= since);
+  res.json(alerts.slice(0, limit));
+});
+
+// API: property × aspect matrix from the portfolio's aspects.json (without the tagged reviews)
+app.get('/api/aspects', portfolioScope, (req, res) => {
+  const result = loadAspects(req.portfolio);
+  if (!result) return res.status(404).json({ error: 'No aspect data yet. Run `npm run tag:aspects` first.' });
+  const { reviews, ...matrix } = result;
+  res.json(matrix);
+});
+
+// API: drill-down — tagged reviews for one hotel and/or aspect
+// ?entity=portfolio:3|folder:<folderId>:<placeId>&aspect=noise&polarity=negative&limit=
+app.get('/api/aspects/reviews', portfolioScope, (req, res) => {
+  const result = loadAspects(req.portfolio);
+  if (!result) return res.status(404).json({ error: 'No aspect data yet. Run `npm run tag:aspects` first.' });
+  const { entity, aspect, polarity } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const matches = result.reviews
+    .filter(r => !entity || r.entity === entity)
+    .map(r => ({ ...r, tags: r.tags.filter(t => (!aspect || t.aspect === aspect) && (!polarity || t.polarity === polarity)) }))
+    .filter(r => r.tags.length)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  res.json({ total: matches.length, reviews: matches.slice(0, limit) });
+});
+
+// API: re-run the aspect tagger (e.g. after saving new folder hotels)
+app.post('/api/aspects/rebuild', requireRole('analyst'), portfolioScope, async (req, res) => {
+  try {
+    const { reviews, ...matrix } = await runTagAspects(req.portfolio);
+    res.json(matrix);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// API: photo coverage per property, weakest first — which hotels need a photo shoot
+app.get('/api/photos/coverage', portfolioScope, (req, res) => {
+  const portfolioPath = dataFile(req.portfolio, 'portfolio.json');
+  if (!fs.existsSync(portfolioPath)) return res.status(404).json({ error: 'No portfolio data found. Run `npm run fetch` first.' });
+  const portfolio = JSON.parse(fs.readFileSync(portfolioPath, 'utf8'));
+  res.json(portfolio
+    .filter(p => p.photoCoverage)
+    .map(p => ({ propertyId: p.id, name: p.name, city: p.city, state: p.state, ...p.photoCoverage }))
+    .sort((a, b) => a.score - b.score));
+});
+
+// API: one Google photo of a live lookup, downloaded into the photo cache the
+// first time it is shown (see lazyGooglePhotos() in scripts/photo-cache.js)
+app.get('/api/photos/google/:ref', requireRole('analyst'), async (req, res) => {
+  if (!/^[A-Za-z0-9_-]{10,}$/.test(req.params.ref)) return res.status(400).json({ error: 'Invalid photo reference' });
+  try {
+    const photo = photoFile(await cacheGooglePhoto(req.params.ref));
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(photo.contentType).sendFile(photo.path);
+  } catch (err) {
+    // Google answers an unknown or expired reference with a 4xx
+    const upstream = err.response?.status;
+    const status = err.message.includes('not configured') ? 503 : upstream >= 400 && upstream < 500 && upstream !== 429 ? 404 : errorStatus(err);
+    res.status(status).json({ error: err.message });
+  }
+});
+
+// API: self-hosted photo copies (see scripts/photo-cache.js)
+app.get('/api/photos/:hash', (req, res) => {
+  const photo = photoFile(req.params.hash);
+  if (!photo) return res.status(404).json({ error: 'Photo not found' });
+  // Content-addressed, so the bytes behind a hash never change
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.type(photo.contentType).sendFile(photo.path);
+});
+
+// API: full-text review search across the portfolio and every saved folder hotel
+// ?q=&source=google|tripadvisor&minRating=&maxRating=&propertyId=&tripType=&from=&to=&page=&pageSize=
+app.get('/api/reviews/search', portfolioScope, (req, res) => {
+  const { source } = req.query;
+  if (source && !['google', 'tripadvisor'].includes(source)) {
+    return res.status(400).json({ error: 'source must be google or tripadvisor' });
+  }
+  for (const key of ['from', 'to']) {
+    if (req.query[key] && Number.isNaN(Date.parse(req.query[key]))) {
+      return res.status(400).json({ error: `${key} must be a date (YYYY-MM-DD)` });
+    }
+  }
+  res.json(searchReviews(req.query, req.portfolio));
+});
+
 // API: metadata
-app.get('/api/metadata', (req, res) => {
-  const metaPath = path.join(__dirname, 'data', 'metadata.json');
+app.get('/api/metadata', portfolioScope, (req, res) => {
+  const metaPath = dataFile(req.portfolio, 'metadata.json');
   if (!fs.existsSync(metaPath)) {
     return res.json({ lastFetch: null });
   }
@@ -209,19 +388,85 @@ app.get('/api/metadata', (req, res) => {
 });
 
 // API: properties config
-app.get('/api/properties', (req, res) => {
-  const propsPath = path.join(__dirname, 'properties.json');
-  res.json(JSON.parse(fs.readFileSync(propsPath, 'utf8')));
+app.get('/api/properties', portfolioScope, (req, res) => {
+  res.json(loadProperties(req.portfolio));
+});
+
+// Another property already using this name or pinned ID
+function propertyConflict(properties, property) {
+  const others = properties.filter(p => p.id !== property.id);
+  if (others.some(p => p.name.toLowerCase() === property.name.toLowerCase())) return `A property named "${property.name}" already exists`;
+  const g = property.googlePlaceId && others.find(p => p.googlePlaceId === property.googlePlaceId);
+  if (g) return `Google place ${property.googlePlaceId} is already pinned to ${g.name}`;
+  const ta = property.tripadvisorLocationId && others.find(p => p.tripadvisorLocationId === property.tripadvisorLocationId);
+  if (ta) return `TripAdvisor location ${property.tripadvisorLocationId} is already pinned to ${ta.name}`;
+  return null;
+}
+
+// GET /api/properties/:id/export?format=pdf|xlsx — one property's pack
+app.get('/api/properties/:id/export', portfolioScope, (req, res) => {
+  const pack = portfolioPack(req.portfolio, req.params.id);
+  if (!pack) return res.status(404).json({ error: 'No fetched data for that property. Run `npm run fetch` first.' });
+  sendReport(req, res, pack);
+});
+
+// GET /api/properties/audit — change log, newest first (?propertyId=&limit=)
+app.get('/api/properties/audit', portfolioScope, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  let entries = loadAudit(req.portfolio);
+  if (req.query.propertyId) entries = entries.filter(e => String(e.propertyId) === String(req.query.propertyId));
+  res.json(entries.slice(0, limit));
+});
+
+// POST /api/properties — add a property
+app.post('/api/properties', requireRole('admin'), portfolioScope, (req, res) => {
+  const { property, errors } = validateProperty(req.body);
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  const properties = loadProperties(req.portfolio);
+  const conflict = propertyConflict(properties, property);
+  if (conflict) return res.status(409).json({ error: conflict });
+  const created = { id: nextPropertyId(properties, req.portfolio), ...property };
+  properties.push(created);
+  saveProperties(properties, req.portfolio);
+  appendAudit({ action: 'create', propertyId: created.id, actor: req.user.username, before: null, after: created }, req.portfolio);
+  res.status(201).json(created);
+});
+
+// PUT /api/properties/:id — update; omitted fields are kept, null/"" clears optional ones
+app.put('/api/properties/:id', requireRole('admin'), portfolioScope, (req, res) => {
+  const properties = loadProperties(req.portfolio);
+  const idx = properties.findIndex(p => p.id === parseInt(req.params.id));
+  if (idx === -1) return res.status(404).json({ error: 'Property not found' });
+  const before = properties[idx];
+  const { property, errors } = validateProperty(req.body, before);
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  const conflict = propertyConflict(properties, property);
+  if (conflict) return res.status(409).json({ error: conflict });
+  properties[idx] = property;
+  saveProperties(properties, req.portfolio);
+  appendAudit({ action: 'update', propertyId: property.id, actor: req.user.username, before, after: property }, req.portfolio);
+  res.json(property);
+});
+
+// DELETE /api/properties/:id — remove (fetched data drops out on the next fetch)
+app.delete('/api/properties/:id', requireRole('admin'), portfolioScope, (req, res) => {
+  const properties = loadProperties(req.portfolio);
+  const idx = properties.findIndex(p => p.id === parseInt(req.params.id));
+  if (idx === -1) return res.status(404).json({ error: 'Property not found' });
+  const [removed] = properties.splice(idx, 1);
+  saveProperties(properties, req.portfolio);
+  appendAudit({ action: 'delete', propertyId: removed.id, actor: req.user.username, before: removed, after: null }, req.portfolio);
+  res.json({ ok: true });
 });
 
 // API: search any hotel via Google Places
-app.get('/api/search', async (req, res) => {
+app.get('/api/search', requireRole('analyst'), cacheResponse('search', req => normaliseQuery(req.query.q)), async (req, res) => {
   const q = req.query.q?.trim();
   if (!q || q.length < 2) return res.json([]);
   const apiKey = process.env.GOOGLE_PLACES_API_KEY;
   if (!apiKey) return res.status(503).json({ error: 'Google API key not configured' });
   try {
-    const r = await axios.get('https://maps.googleapis.com/maps/api/place/textsearch/json', {
+    const r = await googleApi.get('https://maps.googleapis.com/maps/api/place/textsearch/json', {
       params: { query: q, type: 'lodging', key: apiKey }
     });
     res.json(r.data.results.slice(0, 8).map(x => ({
@@ -229,35 +474,32 @@ app.get('/api/search', async (req, res) => {
       address: x.formatted_address, rating: x.rating, totalRatings: x.user_ratings_total
     })));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
 // API: full details for one hotel by placeId
-app.get('/api/hotel', async (req, res) => {
+app.get('/api/hotel', requireRole('analyst'), cacheResponse('hotel', req => req.query.placeId), async (req, res) => {
   const { placeId } = req.query;
   if (!placeId) return res.status(400).json({ error: 'placeId required' });
   try {
-    res.json(await fetchHotelDetails(placeId));
+    const details = await fetchHotelDetails(placeId);
+    // Photos are downloaded one by one as they are shown, not for every lookup
+    res.json({ ...details, photos: lazyGooglePhotos(details.photos) });
   } catch (err) {
-    const status = err.message.includes('not configured') ? 503 : 500;
+    const status = err.message.includes('not configured') ? 503 : errorStatus(err);
     res.status(status).json({ error: err.message });
   }
 });
 
 // API: search hotels by name on TripAdvisor
-app.get('/api/ta-search', async (req, res) => {
+app.get('/api/ta-search', requireRole('analyst'), cacheResponse('ta-search', req => normaliseQuery(req.query.q)), async (req, res) => {
   const q = req.query.q?.trim();
   if (!q || q.length < 2) return res.json([]);
   const apiKey = process.env.TRIPADVISOR_API_KEY;
   if (!apiKey) return res.status(503).json({ error: 'TripAdvisor API key not configured' });
   try {
-    const taClient = axios.create({
-      baseURL: 'https://api.content.tripadvisor.com/api/v1',
-      headers: { accept: 'application/json' },
-      params: { key: apiKey },
-    });
-    const r = await taClient.get('/location/search', {
+    const r = await taApi.get('/location/search', {
       params: { searchQuery: q, category: 'hotels', language: 'en' },
     });
     res.json((r.data?.data || []).slice(0, 5).map(x => ({
@@ -267,184 +509,389 @@ app.get('/api/ta-search', async (req, res) => {
     })));
   } catch (err) {
     const detail = err.response?.data?.message || err.response?.data?.error || err.message;
-    res.status(500).json({ error: typeof detail === 'string' ? detail : JSON.stringify(detail) });
+    res.status(errorStatus(err)).json({ error: typeof detail === 'string' ? detail : JSON.stringify(detail) });
   }
 });
 
 // API: full TripAdvisor details for one hotel by locationId
-app.get('/api/ta-hotel', async (req, res) => {
+app.get('/api/ta-hotel', requireRole('analyst'), cacheResponse('ta-hotel', req => req.query.locationId), async (req, res) => {
   const { locationId } = req.query;
   if (!locationId) return res.status(400).json({ error: 'locationId required' });
   try {
+    // TripAdvisor CDN photo URLs carry no key — they are cached only once saved
     res.json(await fetchTAHotelDetails(locationId));
   } catch (err) {
-    res.status(err.message.includes('not configured') ? 503 : 500).json({ error: err.message });
+    res.status(err.message.includes('not configured') ? 503 : errorStatus(err)).json({ error: err.message });
   }
 });
 
-// API: trigger re-fetch (runs fetch-all in the background)
-app.post('/api/refresh', (req, res) => {
-  res.status(202).json({ message: 'Refresh started.' });
-  runFetch().catch(err => console.error(chalk.red('Background refresh failed:'), err));
+// API: trigger re-fetch — queues fetch-all as a background job
+// ?portfolio=<id> refreshes one portfolio, ?portfolio=all every one of them.
+// Optional JSON body narrows the run (see scripts/fetch-options.js):
+//   { propertyIds: [3, 7], source: 'google' | 'tripadvisor', staleDays: 14, failedOnly: true }
+// Jobs run one at a time, so a refresh of another portfolio waits its turn;
+// the same refresh queued twice is refused with the job already in line.
+app.post('/api/refresh', requireRole('admin'), (req, res, next) => {
+  if (req.query.portfolio === 'all') return next();
+  portfolioScope(req, res, next);
+}, (req, res) => {
+  let selection;
+  try { selection = normaliseSelection(req.body || {}); }
+  catch (err) { return res.status(400).json({ error: err.message }); }
+  const params = { portfolio: req.portfolio?.id || 'all', ...selection };
+  const active = findActiveJob('refresh', params);
+  if (active) return res.status(409).json({ error: 'This refresh is already queued or running', job: publicJob(active, { log: false }) });
+  const pf = req.portfolio || null;
+  const job = enqueueJob('refresh', params, ctx => runFetch(pf, ctx, selection), { createdBy: req.user.username });
+  res.status(202).json({ message: 'Refresh queued.', job: publicJob(job, { log: false }) });
+});
+
+// ─── Jobs API ────────────────────────────────────────────────────────────────
+
+// GET /api/jobs — recent jobs, newest first (without their log lines)
+app.get('/api/jobs', (req, res) => {
+  res.json(listJobs().map(job => publicJob(job, { log: false })));
+});
+
+// GET /api/jobs/:id — status, progress and log
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(publicJob(job));
+});
+
+// GET /api/jobs/:id/events — Server-Sent Events: a "snapshot" of the job,
+// then "status", "progress" and "log" events until it finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('snapshot', publicJob(job));
+  if (isFinished(job)) return res.end();
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = subscribeJob(job.id, ({ type, data }) => {
+    send(type, data);
+    if (type === 'status' && isFinished(job)) close();
+  });
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+  req.on('close', close);
+});
+
+// POST /api/jobs/:id/cancel — a queued job is dropped, a running one stops
+// at its next step (the current property finishes first). Admins can cancel
+// any job, analysts the ones they started.
+app.post('/api/jobs/:id/cancel', requireRole('analyst'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (!hasRole(req.user, 'admin') && job.createdBy !== req.user.username) {
+    return res.status(403).json({ error: 'Only an admin or the user who started this job can cancel it' });
+  }
+  if (!cancelJob(job.id, req.user.username)) return res.status(409).json({ error: `Job already ${job.status}` });
+  res.json(publicJob(job, { log: false }));
 });
 
 // ─── Saved Folders API ───────────────────────────────────────────────────────
 
-// GET /api/folders — all folders, slim (no cachedData)
+// GET /api/folders?tag=&status= — all folders, slim (no cachedData); tag and
+// status keep only the hotels that have them (folders stay listed)
 app.get('/api/folders', (req, res) => {
-  const data = loadPortfolios();
-  const slim = data.folders.map(f => ({
-    id: f.id, name: f.name, createdAt: f.createdAt,
-    hotels: f.hotels.map(h => ({
-      placeId: h.placeId, name: h.name, address: h.address,
-      rating: h.rating, totalRatings: h.totalRatings,
-      numRooms: h.numRooms ?? null,
-      taRating: h.cachedData?.tripadvisor?.rating ?? null,
-      taNumReviews: h.cachedData?.tripadvisor?.numReviews ?? null,
-      savedAt: h.savedAt, lastFetched: h.lastFetched,
-      lat: h.lat, lng: h.lng
-    }))
-  }));
-  res.json(slim);
+  const tag = req.query.tag?.trim().toLowerCase();
+  const { status } = req.query;
+  if (!tag && !status) return res.json(listFolders());
+  res.json(listFolders().map(f => ({
+    ...f,
+    hotels: f.hotels.filter(h => (!tag || h.tags.includes(tag)) && (!status || h.status === status)),
+  })));
 });
 
 // POST /api/folders — create a folder
-app.post('/api/folders', (req, res) => {
+app.post('/api/folders', requireRole('analyst'), (req, res) => {
   const { name } = req.body;
   if (!name?.trim()) return res.status(400).json({ error: 'name required' });
-  const data = loadPortfolios();
-  const folder = { id: `f_${Date.now()}`, name: name.trim(), createdAt: new Date().toISOString(), hotels: [] };
-  data.folders.push(folder);
-  savePortfolios(data);
+  const folder = createFolder(name.trim(), req.user);
+  foldersChanged();
   res.status(201).json(folder);
 });
 
+// PATCH /api/folders/:id — rename a folder / edit its description
+// ({ name?, description? })
+app.patch('/api/folders/:id', requireRole('analyst'), (req, res) => {
+  try {
+    const folder = updateFolder(req.params.id, { name: req.body?.name, description: req.body?.description }, req.user);
+    foldersChanged();
+    res.json(folder);
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
 // DELETE /api/folders/:id — delete a folder
-app.delete('/api/folders/:id', (req, res) => {
-  const data = loadPortfolios();
-  const before = data.folders.length;
-  data.folders = data.folders.filter(f => f.id !== req.params.id);
-  if (data.folders.length === before) return res.status(404).json({ error: 'Folder not found' });
-  savePortfolios(data);
+app.delete('/api/folders/:id', requireRole('analyst'), (req, res) => {
+  if (!deleteFolder(req.params.id)) return res.status(404).json({ error: 'Folder not found' });
+  foldersChanged();
   res.json({ ok: true });
 });
 
+// Fetch a hotel from Google (+ TripAdvisor and SerpAPI when taLocationId is
+// given), cache its photos and add it to the folder. Returns the slim hotel.
+// addHotel() re-checks for a duplicate inside its transaction (409).
+async function saveHotelToFolder(folderId, { placeId, name, address, rating, totalRatings, taLocationId }, user) {
+  const [full, taFull, serpRooms] = await Promise.all([
+    fetchHotelDetails(placeId),
+    taLocationId ? fetchTAHotelDetails(taLocationId).catch(() => null) : Promise.resolve(null),
+    taLocationId ? lookupRoomsViaSerpApi(taLocationId).catch(() => null) : Promise.resolve(null),
+  ]);
+  const now = new Date().toISOString();
+  const hotel = {
+    placeId, name: full.name || name, address: full.address || address,
+    rating: full.rating ?? rating, totalRatings: full.totalRatings ?? totalRatings,
+    lat: full.lat, lng: full.lng,
+    numRooms: serpRooms || null,
+    savedAt: now, lastFetched: now, addedBy: user.username,
+    cachedData: { googleMapsUrl: full.googleMapsUrl, website: full.website, phone: full.phone, priceLevel: full.priceLevel, reviews: full.reviews, photos: full.photos, tripadvisor: taFull }
+  };
+  await cacheHotelPhotos(hotel.cachedData, hotel.placeId);
+  addHotel(folderId, hotel, user);
+  foldersChanged();
+  const { cachedData, ...slim } = hotel;
+  return slim;
+}
+
 // POST /api/folders/:id/hotels — save a hotel (fetches + caches immediately)
-app.post('/api/folders/:id/hotels', async (req, res) => {
-  const { placeId, name, address, rating, totalRatings, taLocationId } = req.body;
+// The duplicate check is repeated when the hotel is written, so two saves of
+// the same hotel at once still end with one copy and a 409.
+app.post('/api/folders/:id/hotels', requireRole('analyst'), async (req, res) => {
+  const { placeId } = req.body;
   if (!placeId) return res.status(400).json({ error: 'placeId required' });
-  const data = loadPortfolios();
-  const folder = data.folders.find(f => f.id === req.params.id);
-  if (!folder) return res.status(404).json({ error: 'Folder not found' });
-  if (folder.hotels.find(h => h.placeId === placeId)) {
+  if (!getFolder(req.params.id)) return res.status(404).json({ error: 'Folder not found' });
+  if (hasHotel(req.params.id, placeId)) {
     return res.status(409).json({ error: 'Hotel already in folder' });
   }
   try {
-    const [full, taFull, serpRooms] = await Promise.all([
-      fetchHotelDetails(placeId),
-      taLocationId ? fetchTAHotelDetails(taLocationId).catch(() => null) : Promise.resolve(null),
-      taLocationId ? lookupRoomsViaSerpApi(taLocationId).catch(() => null) : Promise.resolve(null),
-    ]);
-    const now = new Date().toISOString();
-    const hotel = {
-      placeId, name: full.name || name, address: full.address || address,
-      rating: full.rating ?? rating, totalRatings: full.totalRatings ?? totalRatings,
-      lat: full.lat, lng: full.lng,
-      numRooms: serpRooms || null,
-      savedAt: now, lastFetched: now,
-      cachedData: { googleMapsUrl: full.googleMapsUrl, website: full.website, phone: full.phone, reviews: full.reviews, photos: full.photos, tripadvisor: taFull }
-    };
-    folder.hotels.push(hotel);
-    savePortfolios(data);
-    const { cachedData, ...slim } = hotel;
-    res.status(201).json(slim);
+    res.status(201).json(await saveHotelToFolder(req.params.id, req.body, req.user));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(errorStatus(err)).json({ error: err.message });
   }
 });
 
-// DELETE /api/folders/:folderId/hotels/:placeId — remove hotel from folder
-app.delete('/api/folders/:folderId/hotels/:placeId', (req, res) => {
-  const data = loadPortfolios();
-  const folder = data.folders.find(f => f.id === req.params.folderId);
+// POST /api/folders/:id/import — match a CSV of hotels ({ csv: "<file text>" })
+// to Google places and TripAdvisor locations. Queues a job; its result lists
+// each row's best match, confidence, candidates and status for review
+// (see scripts/folder-import.js).
+app.post('/api/folders/:id/import', requireRole('analyst'), (req, res) => {
+  const folder = getFolder(req.params.id);
   if (!folder) return res.status(404).json({ error: 'Folder not found' });
-  const before = folder.hotels.length;
-  folder.hotels = folder.hotels.filter(h => h.placeId !== req.params.placeId);
-  if (folder.hotels.length === before) return res.status(404).json({ error: 'Hotel not found' });
-  savePortfolios(data);
+  if (typeof req.body?.csv !== 'string') return res.status(400).json({ error: 'csv (the file contents) required' });
+  if (!process.env.GOOGLE_PLACES_API_KEY) return res.status(503).json({ error: 'Google API key not configured' });
+  let rows;
+  try { rows = parseImportCsv(req.body.csv); }
+  catch (err) { return res.status(err.status || 500).json({ error: err.message }); }
+  const job = enqueueJob('folder-import-match', { folderId: folder.id, rows: rows.length },
+    ctx => resolveImport(folder.id, rows, ctx), { createdBy: req.user.username });
+  res.status(202).json({ message: `Matching ${rows.length} hotels.`, job: publicJob(job, { log: false }) });
+});
+
+// POST /api/folders/:id/import/confirm — save the reviewed matches
+// ({ hotels: [{ placeId, taLocationId?, name?, address? }] }) one at a time,
+// as a job. Hotels already in the folder are skipped.
+app.post('/api/folders/:id/import/confirm', requireRole('analyst'), (req, res) => {
+  const folder = getFolder(req.params.id);
+  if (!folder) return res.status(404).json({ error: 'Folder not found' });
+  let hotels;
+  try { hotels = validateSelections(req.body?.hotels); }
+  catch (err) { return res.status(err.status || 500).json({ error: err.message }); }
+  if (!process.env.GOOGLE_PLACES_API_KEY) return res.status(503).json({ error: 'Google API key not configured' });
+  const user = req.user;
+  const job = enqueueJob('folder-import-save', { folderId: folder.id, hotels: hotels.length },
+    ctx => importHotels(folder.id, hotels, (folderId, hotel) => saveHotelToFolder(folderId, hotel, user), ctx),
+    { createdBy: user.username });
+  res.status(202).json({ message: `Saving ${hotels.length} hotels.`, job: publicJob(job, { log: false }) });
+});
+
+// DELETE /api/folders/:folderId/hotels/:placeId — remove hotel from folder
+app.delete('/api/folders/:folderId/hotels/:placeId', requireRole('analyst'), (req, res) => {
+  try {
+    removeHotel(req.params.folderId, req.params.placeId, req.user);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ error: err.message });
+  }
+  foldersChanged();
   res.json({ ok: true });
 });
 
+// PATCH /api/folders/:folderId/hotels/:placeId — analyst notes, tags and
+// status ({ notes?, tags?, status? }; see hotelAnnotations() in folder-store.js)
+app.patch('/api/folders/:folderId/hotels/:placeId', requireRole('analyst'), (req, res) => {
+  try {
+    const edit = hotelAnnotations(req.body || {});
+    const hotel = updateHotel(req.params.folderId, req.params.placeId, h => Object.assign(h, edit), req.user);
+    foldersChanged();
+    res.json({ ok: true, notes: hotel.notes, tags: hotel.tags, status: hotel.status });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// POST /api/folders/:folderId/hotels/:placeId/move | /copy — to { folderId },
+// cached data, notes and tags included; nothing is fetched again
+for (const action of ['move', 'copy']) {
+  app.post(`/api/folders/:folderId/hotels/:placeId/${action}`, requireRole('analyst'), (req, res) => {
+    const target = req.body?.folderId;
+    if (!target || typeof target !== 'string') return res.status(400).json({ error: 'folderId (the target folder) required' });
+    try {
+      const hotel = transferHotel(req.params.folderId, req.params.placeId, target, { copy: action === 'copy' }, req.user);
+      foldersChanged();
+      res.status(action === 'copy' ? 201 : 200).json({ ok: true, folderId: target, hotel });
+    } catch (err) {
+      res.status(errorStatus(err)).json({ error: err.message });
+    }
+  });
+}
+
 // POST /api/folders/:folderId/hotels/:placeId/refresh — re-fetch cached data
-app.post('/api/folders/:folderId/hotels/:placeId/refresh', async (req, res) => {
-  const data = loadPortfolios();
-  const folder = data.folders.find(f => f.id === req.params.folderId);
+// (see refreshFolderHotel() in scripts/folder-refresh.js)
+app.post('/api/folders/:folderId/hotels/:placeId/refresh', requireRole('analyst'), async (req, res) => {
+  if (!getFolder(req.params.folderId)) return res.status(404).json({ error: 'Folder not found' });
+  if (!hasHotel(req.params.folderId, req.params.placeId)) return res.status(404).json({ error: 'Hotel not found' });
+  try {
+    const result = await refreshFolderHotel(req.params.folderId, req.params.placeId, req.user);
+    if (!result) return res.status(404).json({ error: 'Hotel not found' });
+    foldersChanged();
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ error: err.message });
+  }
+});
+
+// Queue a bulk folder refresh — one folder, or every folder's stale hotels.
+// The same refresh already queued or running is answered with that job (409).
+function queueFolderRefresh(selection, createdBy) {
+  const params = { folderId: selection.folderId || null, staleDays: selection.staleDays ?? null };
+  const active = findActiveJob('folder-refresh', params);
+  if (active) return { job: active, queued: false };
+  const job = enqueueJob('folder-refresh', params, async ctx => {
+    try {
+      return await refreshFolders(params, ctx, createdBy === 'scheduler' ? null : { username: createdBy });
+    } finally {
+      foldersChanged();
+    }
+  }, { createdBy });
+  return { job, queued: true };
+}
+
+// Scheduled mode: with FOLDER_REFRESH_MAX_AGE_DAYS set, every
+// FOLDER_REFRESH_CHECK_MINUTES (default 60) hotels last fetched longer ago
+// than that are queued for a refresh
+function folderRefreshMaxAge() {
+  const days = parseFloat(process.env.FOLDER_REFRESH_MAX_AGE_DAYS || '');
+  return days > 0 ? days : null;
+}
+
+function scheduleFolderRefresh() {
+  const maxAge = folderRefreshMaxAge();
+  if (!maxAge) return;
+  const minutes = parseFloat(process.env.FOLDER_REFRESH_CHECK_MINUTES || '') > 0 ? parseFloat(process.env.FOLDER_REFRESH_CHECK_MINUTES) : 60;
+  const check = () => {
+    if (!process.env.GOOGLE_PLACES_API_KEY || !selectHotels({ staleDays: maxAge }).length) return;
+    const { job, queued } = queueFolderRefresh({ staleDays: maxAge }, 'scheduler');
+    if (queued) console.log(chalk.cyan(`  Scheduled refresh of saved hotels older than ${maxAge} days queued (${job.id})`));
+  };
+  check();
+  setInterval(check, minutes * 60 * 1000).unref();
+  console.log(chalk.gray(`  Saved folders: hotels older than ${maxAge} days are refreshed (checked every ${minutes} min)`));
+}
+
+function parseStaleDays(value) {
+  if (value == null || value === '') return { staleDays: null };
+  const staleDays = Number(value);
+  return Number.isFinite(staleDays) && staleDays >= 0 ? { staleDays } : { error: 'staleDays must be a number of days (0 or more)' };
+}
+
+// POST /api/folders/:id/refresh — re-fetch every hotel in the folder as a job
+// ({ staleDays } in the body limits it to hotels last fetched longer ago).
+// job.result lists each hotel as ok / failed / skipped.
+app.post('/api/folders/:id/refresh', requireRole('analyst'), (req, res) => {
+  const folder = getFolder(req.params.id);
+  if (!folder) return res.status(404).json({ error: 'Folder not found' });
+  if (!process.env.GOOGLE_PLACES_API_KEY) return res.status(503).json({ error: 'Google API key not configured' });
+  const { staleDays, error } = parseStaleDays(req.body?.staleDays);
+  if (error) return res.status(400).json({ error });
+  const { job, queued } = queueFolderRefresh({ folderId: folder.id, staleDays }, req.user.username);
+  if (!queued) return res.status(409).json({ error: 'This folder refresh is already queued or running', job: publicJob(job, { log: false }) });
+  res.status(202).json({ message: 'Folder refresh queued.', job: publicJob(job, { log: false }) });
+});
+
+// POST /api/folders/refresh — every folder's hotels older than { staleDays }
+// (default FOLDER_REFRESH_MAX_AGE_DAYS, else 7)
+app.post('/api/folders/refresh', requireRole('admin'), (req, res) => {
+  if (!process.env.GOOGLE_PLACES_API_KEY) return res.status(503).json({ error: 'Google API key not configured' });
+  const { staleDays, error } = parseStaleDays(req.body?.staleDays ?? folderRefreshMaxAge() ?? 7);
+  if (error) return res.status(400).json({ error });
+  const { job, queued } = queueFolderRefresh({ staleDays }, req.user.username);
+  if (!queued) return res.status(409).json({ error: 'This folder refresh is already queued or running', job: publicJob(job, { log: false }) });
+  res.status(202).json({ message: 'Folder refresh queued.', job: publicJob(job, { log: false }) });
+});
+
+// GET /api/folders/:id/benchmark?subject=<placeId> — every saved hotel side by
+// side with folder mean / median, percentiles and deltas against the subject
+// (see scripts/benchmark.js)
+app.get('/api/folders/:id/benchmark', (req, res) => {
+  const folder = getFolder(req.params.id);
   if (!folder) return res.status(404).json({ error: 'Folder not found' });
-  const hotel = folder.hotels.find(h => h.placeId === req.params.placeId);
-  if (!hotel) return res.status(404).json({ error: 'Hotel not found' });
   try {
-    const taLocationId = hotel.cachedData?.tripadvisor?.locationId;
-    const [full, taFull, serpRooms] = await Promise.all([
-      fetchHotelDetails(req.params.placeId),
-      taLocationId ? fetchTAHotelDetails(taLocationId).catch(() => null) : Promise.resolve(null),
-      taLocationId ? lookupRoomsViaSerpApi(taLocationId).catch(() => null) : Promise.resolve(null),
-    ]);
-    hotel.rating = full.rating;
-    hotel.totalRatings = full.totalRatings;
-    hotel.lat = full.lat;
-    hotel.lng = full.lng;
-    if (serpRooms) hotel.numRooms = serpRooms;
-    hotel.lastFetched = new Date().toISOString();
-    hotel.cachedData = { googleMapsUrl: full.googleMapsUrl, website: full.website, phone: full.phone, reviews: full.reviews, photos: full.photos, tripadvisor: taFull || hotel.cachedData?.tripadvisor };
-    savePortfolios(data);
-    res.json({ ok: true, lastFetched: hotel.lastFetched, numRooms: hotel.numRooms ?? null });
+    res.json(benchmarkFolder(folder, allHotels(folder.id), { subject: req.query.subject || null }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(400).json({ error: err.message });
   }
 });
 
+// GET /api/folders/:id/export?format=pdf|xlsx — the folder as an
+// investment-committee pack (see scripts/report.js)
+app.get('/api/folders/:id/export', (req, res) => {
+  const pack = folderPack(req.params.id);
+  if (!pack) return res.status(404).json({ error: 'Folder not found' });
+  sendReport(req, res, pack);
+});
+
 // GET /api/folders/:folderId/hotels/:placeId — full cached data
 app.get('/api/folders/:folderId/hotels/:placeId', (req, res) => {
-  const data = loadPortfolios();
-  const folder = data.folders.find(f => f.id === req.params.folderId);
+  const folder = getFolder(req.params.folderId);
   if (!folder) return res.status(404).json({ error: 'Folder not found' });
-  const hotel = folder.hotels.find(h => h.placeId === req.params.placeId);
+  const hotel = getHotel(folder.id, req.params.placeId);
   if (!hotel) return res.status(404).json({ error: 'Hotel not found' });
   res.json({ ...hotel, folderId: folder.id, folderName: folder.name });
 });
 
 // PATCH /api/folders/:folderId/hotels/:placeId/rooms — persist SerpAPI-looked-up room count
-app.patch('/api/folders/:folderId/hotels/:placeId/rooms', (req, res) => {
+app.patch('/api/folders/:folderId/hotels/:placeId/rooms', requireRole('analyst'), (req, res) => {
   const numRooms = parseInt(req.body?.numRooms);
   if (!Number.isFinite(numRooms) || numRooms <= 0) return res.status(400).json({ error: 'valid numRooms required' });
-  const data = loadPortfolios();
-  const folder = data.folders.find(f => f.id === req.params.folderId);
-  if (!folder) return res.status(404).json({ error: 'Folder not found' });
-  const hotel = folder.hotels.find(h => h.placeId === req.params.placeId);
-  if (!hotel) return res.status(404).json({ error: 'Hotel not found' });
-  hotel.numRooms = numRooms;
-  savePortfolios(data);
+  try {
+    updateHotel(req.params.folderId, req.params.placeId, hotel => { hotel.numRooms = numRooms; }, req.user);
+  } catch (err) {
+    return res.status(errorStatus(err)).json({ error: err.message });
+  }
+  foldersChanged();
   res.json({ ok: true });
 });
 
-// Score how well a TA candidate name matches the target hotel name.
-// The first meaningful word is the brand name — if it doesn't appear in the
-// candidate the score is 0 immediately, preventing geographic noise words
-// (e.g. "Paris", "La Villette") from producing false positive matches.
-function hotelNameScore(target, candidate) {
-  const norm = s => s.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(w => w.length > 2);
-  const tw = norm(target);
-  const cw = norm(candidate);
-  if (!tw.length) return 0;
-  if (!cw.includes(tw[0])) return 0; // brand name must match
-  return tw.filter(w => cw.includes(w)).length / tw.length;
-}
-
 // Run a single TA location/search call and return the best name-matching result
 // above the given score threshold, or null.
-async function taBestMatch(taClient, params, targetName, threshold) {
+async function taBestMatch(params, targetName, threshold) {
   console.log('[rooms-lookup] TA search params:', JSON.stringify(params));
-  const r = await taClient.get('/location/search', { params });
+  const r = await taApi.get('/location/search', { params });
   const results = r.data?.data || [];
   console.log('[rooms-lookup] TA candidates:', results.map(x =>
     `${x.location_id} "${x.name}" name=${hotelNameScore(targetName, x.name).toFixed(2)} addr="${x.address_obj?.address_string || ''}"`
@@ -458,7 +905,7 @@ async function taBestMatch(taClient, params, targetName, threshold) {
 // Primary:  SerpAPI Google search → extract TA location ID from Hotel_Review URL
 // Fallback: TripAdvisor API (geo then text) when SerpAPI finds no Hotel_Review URL
 // Room count is always via SerpAPI tripadvisor_place once an ID is resolved.
-app.get('/api/rooms-lookup', async (req, res) => {
+app.get('/api/rooms-lookup', requireRole('analyst'), async (req, res) => {
   const { name, address, lat, lng } = req.query;
   if (!name) return res.status(400).json({ error: 'name required' });
   try {
@@ -472,7 +919,7 @@ app.get('/api/rooms-lookup', async (req, res) => {
       const q = `"${name}" site:tripadvisor.com`;
       console.log(`[rooms-lookup] SerpAPI google search: ${q}`);
       try {
-        const sg = await axios.get('https://serpapi.com/search.json', {
+        const sg = await serpApi.get('https://serpapi.com/search.json', {
           params: { engine: 'google', q, api_key: serpKey, num: 5 },
           timeout: 10000,
         });
@@ -501,17 +948,11 @@ app.get('/api/rooms-lookup', async (req, res) => {
     if (!taLocationId) {
       const taKey = process.env.TRIPADVISOR_API_KEY;
       if (taKey) {
-        const taClient = axios.create({
-          baseURL: 'https://api.content.tripadvisor.com/api/v1',
-          headers: { accept: 'application/json' },
-          params: { key: taKey },
-        });
         const baseParams = { category: 'hotels', language: 'en' };
         let match = null;
 
         if (lat && lng) {
           match = await taBestMatch(
-            taClient,
             { ...baseParams, searchQuery: name, latLong: `${lat},${lng}`, radius: 1, radiusUnit: 'km' },
             name, 0.5
           );
@@ -521,7 +962,6 @@ app.get('/api/rooms-lookup', async (req, res) => {
         if (!match) {
           const q = address ? `${name} ${address}` : name;
           match = await taBestMatch(
-            taClient,
             { ...baseParams, searchQuery: q },
             name, 1.0
           );
@@ -545,14 +985,14 @@ app.get('/api/rooms-lookup', async (req, res) => {
 });
 
 // GET /api/test-serpapi — diagnostic: make a real SerpAPI tripadvisor_place call and return raw response
-app.get('/api/test-serpapi', async (req, res) => {
+app.get('/api/test-serpapi', requireRole('admin'), async (req, res) => {
   const apiKey = process.env.SERPAPI_KEY;
   if (!apiKey || apiKey === 'your_serpapi_key_here') {
     return res.json({ error: 'SERPAPI_KEY not set or still placeholder', keyPresent: false });
   }
   const testPlaceId = '23581709';
   try {
-    const { data } = await axios.get('https://serpapi.com/search.json', {
+    const { data } = await serpApi.get('https://serpapi.com/search.json', {
       params: { engine: 'tripadvisor_place', place_id: testPlaceId, api_key: apiKey },
       timeout: 10000,
     });
@@ -576,18 +1016,18 @@ app.get('/api/test-serpapi', async (req, res) => {
 });
 
 // GET /api/test-claude — diagnostic: make a real Claude call and return raw response
-app.get('/api/test-claude', async (req, res) => {
+app.get('/api/test-claude', requireRole('admin'), async (req, res) => {
   const claude = getClaudeClient();
   if (!claude) {
     return res.json({ error: 'ANTHROPIC_API_KEY not set or still placeholder', keyPresent: false });
   }
   try {
-    const response = await claude.messages.create({
+    const response = await claudeMessage(claude, {
       model: 'claude-sonnet-4-6',
       max_tokens: 4096,
       thinking: { type: 'enabled', budget_tokens: 2048 },
       messages: [{ role: 'user', content: 'You are a hotel industry database. What is the exact total number of guest rooms (keys) at "JW Marriott Houston" located at "806 Main St, Houston, TX"? Think carefully — recall the specific property, not a similar-named one. Reply with ONLY a single integer (e.g. 316). If you cannot find this specific property with confidence, reply with the single word null.' }]
-    });
+    }, 'test-claude');
     const textBlock = response.content.find(b => b.type === 'text');
     const raw = textBlock?.text?.trim() || '';
     res.json({ keyPresent: true, model: 'claude-sonnet-4-6 (extended thinking)', raw, parsed: parseInt(raw) || null });
@@ -596,24 +1036,21 @@ app.get('/api/test-claude', async (req, res) => {
   }
 });
 
-// POST /api/review-analysis — Claude-powered sentiment analysis: top 3 best + worst reviews + summary
-app.post('/api/review-analysis', async (req, res) => {
+// POST /api/review-analysis — sentiment analysis: top 3 best + worst reviews + summary.
+// Uses Claude when ANTHROPIC_API_KEY is set; otherwise (or if the Claude call fails) the
+// offline lexicon scorer in scripts/sentiment.js. `engine` says which one answered.
+app.post('/api/review-analysis', requireRole('analyst'), async (req, res) => {
   const { name, googleReviews = [], taReviews = [], folderId, placeId } = req.body;
   if (!name) return res.status(400).json({ error: 'name required' });
 
   // Return disk-cached result for saved hotels
   if (folderId && placeId) {
-    const data = loadPortfolios();
-    const folder = data.folders.find(f => f.id === folderId);
-    const hotel = folder?.hotels.find(h => h.placeId === placeId);
+    const hotel = getHotel(folderId, placeId);
     if (hotel?.cachedData?.reviewAnalysis) {
       return res.json(hotel.cachedData.reviewAnalysis);
     }
   }
 
-  const claude = getClaudeClient();
-  if (!claude) return res.json({ summary: null, top3best: [], top3worst: [] });
-
   const gReviews = (googleReviews || []).slice(0, 5)
     .filter(r => r.text?.trim())
     .map(r => ({ source: 'Google', rating: r.rating, author: r.author || 'Guest', title: '', text: r.text }));
@@ -625,7 +1062,10 @@ app.post('/api/review-analysis', async (req, res) => {
   const combined = [...gReviews, ...tReviews];
 
   if (combined.length === 0)
-    return res.json({ summary: null, top3best: [], top3worst: [] });
+    return res.json({ summary: null, top3best: [], top3worst: [], engine: null });
+
+  const claude = getClaudeClient();
+  if (!claude) return res.json(analyzeReviewsLocally(name, combined));
 
   const reviewsText = combined.map((r, i) =>
     `[${i + 1}] Source: ${r.source} | Rating: ${r.rating}/5 | Author: ${r.author}${r.title ? ` | Title: "${r.title}"` : ''}\n"${r.text.slice(0, 500)}"`
@@ -648,31 +1088,49 @@ Return a JSON object with EXACTLY this structure:
 Select the 3 most informative/representative reviews for each category. Quotes must be verbatim from the text above.`;
 
   try {
-    const claudeRes = await claude.messages.create({
+    const claudeRes = await claudeMessage(claude, {
       model: 'claude-haiku-4-5-20251001',
       max_tokens: 2048,
       messages: [{ role: 'user', content: prompt }]
-    });
+    }, 'review-analysis');
     const raw = claudeRes.content[0]?.text?.trim() || '{}';
     const cleaned = raw.replace(/^```json\s*/i, '').replace(/^```\s*/i, '').replace(/\s*```$/i, '');
-    const result = JSON.parse(cleaned);
+    const result = { ...JSON.parse(cleaned), engine: 'claude' };
 
     // Persist to disk for saved hotels so next view is instant
-    if (folderId && placeId) {
-      const data = loadPortfolios();
-      const folder = data.folders.find(f => f.id === folderId);
-      const hotel = folder?.hotels.find(h => h.placeId === placeId);
-      if (hotel) {
-        hotel.cachedData = hotel.cachedData || {};
-        hotel.cachedData.reviewAnalysis = result;
-        savePortfolios(data);
-      }
+    if (folderId && placeId && hasHotel(folderId, placeId)) {
+      updateHotel(folderId, placeId, hotel => {
+        hotel.cachedData = { ...(hotel.cachedData || {}), reviewAnalysis: result };
+      });
+      foldersChanged();
     }
 
     res.json(result);
   } catch (err) {
-    console.error('[Claude] review-analysis error:', err.message);
-    res.json({ summary: null, top3best: [], top3worst: [] });
+    console.error('[Claude] review-analysis error:', err.message, '— falling back to lexicon');
+    res.json(analyzeReviewsLocally(name, combined));
+  }
+});
+
+// API: outbound API usage, estimated spend and budgets for a month
+// ?month=YYYY-MM (default: this month). Costs are estimates — see scripts/usage.js.
+app.get('/api/usage', (req, res) => {
+  const month = req.query.month || undefined;
+  if (month && !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ error: 'month must be YYYY-MM' });
+  res.json({ ...usageReport(month), months: usageMonths(), clients: clientStats() });
+});
+
+// API: response cache hit/miss stats and per-route settings
+app.get('/api/cache', (req, res) => {
+  res.json(cacheStats());
+});
+
+// API: empty the response cache — ?route=search|hotel|ta-search|ta-hotel for one route
+app.delete('/api/cache', requireRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, removed: clearCache(req.query.route || null) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
 });
 
@@ -695,6 +1153,9 @@ app.listen(PORT, async () => {
   console.log(chalk.bold.green('  PORTFOLIO INTEL DASHBOARD'));
   console.log(chalk.bold.green('═══════════════════════════════════════════'));
   console.log(chalk.green(`  Running at: ${chalk.bold.white(url)}`));
+  if (authDisabled) console.log(chalk.yellow('  ⚠  AUTH_DISABLED=1 — every request is treated as admin'));
+  else if (!loadUsers().length) console.log(chalk.yellow('  ⚠  No users yet — create one with: npm run users -- add <username> admin'));
+  scheduleFolderRefresh();
   console.log(chalk.gray('  Press Ctrl+C to stop\n'));
 
   // Auto-open browser (only in interactive/local terminal sessions)